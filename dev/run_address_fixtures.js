@@ -0,0 +1,47 @@
+/**
+ * Dev Runner - check the address parser against fixture addresses
+ * Usage: node dev/run_address_fixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const FIXTURE_PATH = path.join(__dirname, 'fixture-addresses.json');
+const ADDRESS_PARSER_PATH = path.join(__dirname, '..', 'src', 'content', 'address-parser.js');
+
+function loadParser() {
+    const context = {
+        window: {},
+        console: { log() {} },
+        LocaleParser: { getLocale: () => 'en-US' }
+    };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(ADDRESS_PARSER_PATH, 'utf8'), context);
+    return context.window.AddressParser;
+}
+
+function runFixtures() {
+    const parser = loadParser();
+    const fixtures = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+    let failed = 0;
+
+    fixtures.forEach(({ input, expected }) => {
+        const actual = JSON.parse(JSON.stringify(parser.parseAddress(input)));
+        const mismatched = Object.keys(expected).filter(key => actual[key] !== expected[key]);
+        if (mismatched.length === 0) {
+            console.log('✅', JSON.stringify(input));
+            return;
+        }
+        failed++;
+        console.error('❌', JSON.stringify(input));
+        mismatched.forEach(key => {
+            console.error(`   ${key}: expected ${JSON.stringify(expected[key])}, got ${JSON.stringify(actual[key])}`);
+        });
+    });
+
+    console.log(`\n${fixtures.length - failed}/${fixtures.length} addresses parsed as expected`);
+    if (failed > 0) process.exit(1);
+}
+
+runFixtures();
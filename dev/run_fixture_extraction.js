@@ -8,7 +8,14 @@ const fs = require('fs');
 const path = require('path');
 
 const FIXTURE_PATH = path.join(__dirname, 'fixture-opportunity.html');
+const LAYOUT_PARSER_PATH = path.join(__dirname, '..', 'src', 'content', 'layout-parser.js');
+const LOCALE_PARSER_PATH = path.join(__dirname, '..', 'src', 'content', 'locale-parser.js');
+const ADDRESS_PARSER_PATH = path.join(__dirname, '..', 'src', 'content', 'address-parser.js');
+const READINESS_PATH = path.join(__dirname, '..', 'src', 'content', 'page-readiness.js');
+const FRAMEWORK_PATH = path.join(__dirname, '..', 'src', 'content', 'extractor-framework.js');
 const EXTRACTOR_PATH = path.join(__dirname, '..', 'src', 'content', 'extractors', 'opportunity.js');
+const TIMELINE_PATH = path.join(__dirname, '..', 'src', 'content', 'activity-timeline.js');
+const FEED_PATH = path.join(__dirname, '..', 'src', 'content', 'chatter-feed.js');
 const OUTPUT_PATH = path.join(__dirname, 'extracted.json');
 
 async function runExtraction() {
@@ -32,18 +39,19 @@ async function runExtraction() {
         console.log('🌐 Loading:', fixtureUrl);
         await page.goto(fixtureUrl, { waitUntil: 'domcontentloaded' });
 
-        // Inject the extractor code
-        const extractorCode = fs.readFileSync(EXTRACTOR_PATH, 'utf8');
-        await page.evaluate(extractorCode);
+        // Inject the parsers, framework and extractor code
+        for (const scriptPath of [LAYOUT_PARSER_PATH, LOCALE_PARSER_PATH, ADDRESS_PARSER_PATH, READINESS_PATH, FRAMEWORK_PATH, EXTRACTOR_PATH, TIMELINE_PATH, FEED_PATH]) {
+            await page.evaluate(fs.readFileSync(scriptPath, 'utf8'));
+        }
 
         console.log('⚙️  Running extraction...\n');
 
         const result = await page.evaluate(async () => {
             try {
-                if (typeof window.extractRecordDetail === 'function') {
-                    return await window.extractRecordDetail();
+                if (window.ExtractorRegistry) {
+                    return await window.ExtractorRegistry.extract('opportunity');
                 }
-                throw new Error('extractRecordDetail not found');
+                throw new Error('ExtractorRegistry not found');
             } catch (err) {
                 return { error: err.message, stack: err.stack };
             }
@@ -4,6 +4,8 @@
  * Implements handshake protocol and extraction orchestration
  */
 
+importScripts('../shared/object-types.js', '../shared/settings.js', '../shared/record-store.js', 'storage-service.js');
+
 // Salesforce URL patterns for validation
 const SALESFORCE_PATTERNS = [
   /^https:\/\/[^/]*\.lightning\.force\.com\//,
@@ -65,12 +67,15 @@ async function pingTab(tabId) {
 
 /**
  * Inject content script programmatically
+ * Injects the same file list as the manifest so the extractor registry is populated
  */
 async function injectContentScript(tabId) {
   try {
+    const contentScripts = chrome.runtime.getManifest().content_scripts || [];
+    const files = contentScripts.length > 0 ? contentScripts[0].js : ['src/content/content-main.js'];
     await chrome.scripting.executeScript({
       target: { tabId: tabId },
-      files: ['src/content/content-main.js']
+      files: files
     });
     console.log('[SW] Content script injected successfully');
     return true;
@@ -109,36 +114,58 @@ async function performHandshake(tabId) {
   return { success: false, reason: 'NO_CONTENT_SCRIPT' };
 }
 
+// Extraction times out after this long without a result or progress message,
+// on top of the time the content script may wait for the page to be ready
+const EXTRACTION_TIMEOUT_MS = 10000;
+
+// Extractions rejected with PAGE_NOT_READY are retried this often, after a pause
+const PAGE_NOT_READY_RETRIES = 2;
+const PAGE_NOT_READY_DELAY_MS = 1000;
+
 /**
  * Send extraction request and wait for result
+ * EXTRACTION_PROGRESS messages (list views, console tabs) restart the timeout
+ * options are passed through to the content script's runExtraction
  */
-function sendExtractionRequest(tabId, requestId) {
+function sendExtractionRequest(tabId, requestId, options = {}) {
+  const timeoutMs = EXTRACTION_TIMEOUT_MS + (options.readyTimeoutMs || 0);
+
   return new Promise((resolve) => {
-    const timeout = setTimeout(() => {
-      console.log('[SW] Extraction timeout for requestId:', requestId);
-      resolve({ success: false, reason: 'TIMEOUT' });
-    }, 10000);
+    let timeout = null;
+    const armTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        console.log('[SW] Extraction timeout for requestId:', requestId);
+        chrome.runtime.onMessage.removeListener(listener);
+        resolve({ success: false, reason: 'TIMEOUT' });
+      }, timeoutMs);
+    };
 
     // Set up listener for extraction result
     const listener = (message, sender) => {
       if (sender.tab?.id !== tabId) return;
 
-      if (message.type === 'EXTRACTION_RESULT' && message.requestId === requestId) {
+      if (message.type === 'EXTRACTION_PROGRESS' && message.requestId === requestId) {
+        armTimeout();
+      } else if (message.type === 'EXTRACTION_RESULT' && message.requestId === requestId) {
         clearTimeout(timeout);
         chrome.runtime.onMessage.removeListener(listener);
         resolve({ success: true, payload: message.payload });
       } else if (message.type === 'EXTRACTION_ERROR' && message.requestId === requestId) {
         clearTimeout(timeout);
         chrome.runtime.onMessage.removeListener(listener);
-        resolve({ success: false, reason: 'EXTRACTION_ERROR', error: message.error });
+        const reason = message.error?.code === 'PAGE_NOT_READY' ? 'PAGE_NOT_READY' : 'EXTRACTION_ERROR';
+        resolve({ success: false, reason, error: message.error });
       }
     };
     chrome.runtime.onMessage.addListener(listener);
+    armTimeout();
 
     // Send extraction request
     chrome.tabs.sendMessage(tabId, {
       type: 'RUN_EXTRACTION',
-      requestId: requestId
+      requestId: requestId,
+      options: options
     }, (response) => {
       if (chrome.runtime.lastError) {
         clearTimeout(timeout);
@@ -151,73 +178,486 @@ function sendExtractionRequest(tabId, requestId) {
   });
 }
 
+// Object types whose merge can change a campaign member's link
+const MEMBER_LINK_TYPES = ['campaignMember', 'lead', 'contact'];
+
 /**
- * Merge extracted record and related records into storage
- * Supports multiple records in a single storage update to avoid race conditions
+ * Resolve campaign members to the stored lead or contact with the same ID
+ * Runs on every merge of members, leads or contacts so members captured before
+ * their lead/contact get linked later
  */
-async function mergeToStorage(mainRecord, relatedRecords = []) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['salesforce_data'], (result) => {
-      let data = result.salesforce_data || {};
-      const allRecords = [mainRecord, ...relatedRecords];
-
-      let mainInserted = 0;
-      let mainUpdated = 0;
-      let relatedCount = 0;
-
-      allRecords.forEach((record, index) => {
-        // Determine which collection to use based on objectType
-        const objectType = record.objectType || 'opportunity';
-        let collectionName;
-        if (objectType === 'lead') {
-          collectionName = 'leads';
-        } else if (objectType === 'contact') {
-          collectionName = 'contacts';
-        } else if (objectType === 'account') {
-          collectionName = 'accounts';
-        } else if (objectType === 'task') {
-          collectionName = 'tasks';
-        } else {
-          collectionName = 'opportunities';
-        }
+async function linkCampaignMembers(session, records) {
+  if (!records.some(r => MEMBER_LINK_TYPES.includes(r.objectType))) return;
+
+  for (const member of await session.getRecordsOfType('campaignMember')) {
+    const memberData = member.data || {};
+    const objectType = memberData.memberType === 'Lead' ? 'lead' : 'contact';
+    const target = memberData.memberId ? await session.findRecord(objectType, memberData.memberId) : null;
+    const linkedRecord = target ? { objectType, id: target.id } : undefined;
+    if (JSON.stringify(linkedRecord) === JSON.stringify(member.linkedRecord)) continue;
+
+    const linked = { ...member, linkedRecord };
+    if (!linkedRecord) delete linked.linkedRecord;
+    session.putRecord(linked);
+  }
+}
 
-        let collection = data[collectionName] || [];
+// Extraction strategies (see meta.fields) grouped by the page they read
+const STRATEGY_SOURCES = {
+  layout: 'recordPage',
+  primaryField: 'recordPage',
+  classicTitle: 'recordPage',
+  headerText: 'recordPage',
+  textScan: 'recordPage',
+  fallback: 'recordPage',
+  listView: 'listView',
+  relatedList: 'relatedList',
+  activityTimeline: 'relatedList',
+  chatterFeed: 'relatedList'
+};
+
+// Sources ranked by how complete their copy of a record is
+const SOURCE_RANKS = { recordPage: 3, listView: 2, relatedList: 1 };
+
+// Merge conflicts kept per record for review
+const MAX_CONFLICTS = 20;
+
+// Version history entries kept per record
+const MAX_HISTORY = 50;
+
+// Pipeline alerts kept in the popup inbox
+const MAX_ALERTS = 100;
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
 
-        // Find existing record by id
-        const existingIndex = collection.findIndex(r => r.id === record.id);
+/**
+ * Best source among a record's field strategies, or null for records without provenance
+ */
+function getRecordSource(record) {
+  const sources = Object.values(record.meta?.fields || {}).map(f => STRATEGY_SOURCES[f.strategy]).filter(Boolean);
+  return sources.sort((a, b) => SOURCE_RANKS[b] - SOURCE_RANKS[a])[0] || null;
+}
 
-        if (existingIndex >= 0) {
-          // Preserve soft-delete state if it exists
-          if (collection[existingIndex].deleted) {
-            record.deleted = true;
-            record.deletedAt = collection[existingIndex].deletedAt;
-          }
-          collection[existingIndex] = record;
-          if (index === 0) mainUpdated = 1;
-        } else {
-          collection.push(record);
-          if (index === 0) mainInserted = 1;
-        }
+// Suffixes of the keys a field adds next to its own (currency parts, lookup ID)
+const DERIVED_KEY_SUFFIXES = ['ConvertedCurrency', 'Converted', 'Currency', 'Id'];
 
-        if (index > 0) relatedCount++;
-        data[collectionName] = collection;
-      });
+/**
+ * Source of one data key; derived keys ("amountCurrency", "accountId") use
+ * the provenance of the field they belong to
+ */
+function getFieldSource(record, key) {
+  const fields = record.meta?.fields || {};
+  let metaKey = fields[key] ? key : null;
+  if (!metaKey) {
+    const suffix = DERIVED_KEY_SUFFIXES.find(s => key.endsWith(s) && fields[key.slice(0, -s.length)]);
+    if (suffix) metaKey = key.slice(0, -suffix.length);
+  }
+  return (metaKey && STRATEGY_SOURCES[fields[metaKey].strategy]) || getRecordSource(record);
+}
+
+/**
+ * Merge a new copy of a record into the stored one, field by field
+ *
+ * Policies (settings.mergePolicies per object type, DEFAULT_MERGE_POLICY otherwise):
+ *   rank    - empty values never overwrite stored ones; when values differ the
+ *             copy from the higher ranked source wins (record page > list view >
+ *             related list), an equally ranked copy is an update
+ *   newest  - empty values never overwrite stored ones; otherwise the new copy wins
+ *   replace - the new copy replaces the stored one
+ * Values that differ between sources of different rank are recorded in
+ * meta.conflicts as { field, kept, rejected, keptSource, rejectedSource, detectedAt }.
+ */
+function mergeRecord(existing, record, policy) {
+  if (policy === 'replace') return { ...record };
+
+  const data = { ...(existing.data || {}) };
+  const fields = { ...(existing.meta?.fields || {}) };
+  const conflicts = [...(existing.meta?.conflicts || [])];
+
+  const take = (key, value) => {
+    data[key] = value;
+    if (record.meta?.fields?.[key]) fields[key] = record.meta.fields[key];
+  };
+
+  Object.entries(record.data || {}).forEach(([key, value]) => {
+    const current = data[key];
+    if (isEmptyValue(value)) {
+      if (!(key in data)) take(key, value);
+      return;
+    }
+    if (isEmptyValue(current)) {
+      take(key, value);
+      return;
+    }
+    // Extra fields hold one raw value per label
+    if (key === 'extraFields') {
+      data[key] = { ...current, ...value };
+      return;
+    }
 
-      data.lastSync = Date.now();
+    const existingSource = getFieldSource(existing, key);
+    const incomingSource = getFieldSource(record, key);
+    const existingRank = SOURCE_RANKS[existingSource] || 0;
+    const incomingRank = SOURCE_RANKS[incomingSource] || 0;
+    const incomingWins = policy === 'newest' || incomingRank >= existingRank;
 
-      chrome.storage.local.set({ salesforce_data: data }, () => {
-        console.log(`[SW] ${mainRecord.objectType} and ${relatedCount} related records merged to storage`);
-        resolve({
-          inserted: mainInserted,
-          updated: mainUpdated,
-          objectType: mainRecord.objectType,
-          relatedCount
-        });
-      });
+    if (JSON.stringify(current) === JSON.stringify(value)) {
+      if (incomingRank >= existingRank) take(key, value);
+      return;
+    }
+
+    if (incomingRank !== existingRank) {
+      const conflict = {
+        field: key,
+        kept: incomingWins ? value : current,
+        rejected: incomingWins ? current : value,
+        keptSource: incomingWins ? incomingSource : existingSource,
+        rejectedSource: incomingWins ? existingSource : incomingSource,
+        detectedAt: Date.now()
+      };
+      const seen = conflicts.some(c => c.field === key
+        && JSON.stringify([c.kept, c.rejected]) === JSON.stringify([conflict.kept, conflict.rejected]));
+      if (!seen) conflicts.push(conflict);
+    }
+    if (incomingWins) take(key, value);
+  });
+
+  const merged = {
+    ...existing,
+    ...record,
+    data,
+    meta: { ...(existing.meta || {}), ...(record.meta || {}), fields }
+  };
+  if (conflicts.length > 0) merged.meta.conflicts = conflicts.slice(-MAX_CONFLICTS);
+
+  // The page URL of the better copy
+  const existingRank = SOURCE_RANKS[getRecordSource(existing)] || 0;
+  if ((SOURCE_RANKS[getRecordSource(record)] || 0) < existingRank) {
+    merged.sourceUrl = existing.sourceUrl;
+  }
+  return merged;
+}
+
+/**
+ * Fields whose value differs between two versions of a record's data
+ * Returns [{ field, oldValue, newValue }]; extra fields are compared one by one
+ * as "extraFields.<key>"
+ */
+function diffRecordData(oldData = {}, newData = {}) {
+  const changes = [];
+  const compare = (field, oldValue, newValue) => {
+    if (isEmptyValue(oldValue) && isEmptyValue(newValue)) return;
+    if (JSON.stringify(oldValue ?? null) === JSON.stringify(newValue ?? null)) return;
+    changes.push({ field, oldValue: oldValue ?? null, newValue: newValue ?? null });
+  };
+
+  new Set([...Object.keys(oldData), ...Object.keys(newData)]).forEach(key => {
+    if (key !== 'extraFields') {
+      compare(key, oldData[key], newData[key]);
+      return;
+    }
+    const oldExtra = oldData.extraFields || {};
+    const newExtra = newData.extraFields || {};
+    new Set([...Object.keys(oldExtra), ...Object.keys(newExtra)]).forEach(extraKey => {
+      compare(`extraFields.${extraKey}`, oldExtra[extraKey], newExtra[extraKey]);
+    });
+  });
+  return changes;
+}
+
+/**
+ * "closeDate" -> "Close Date"
+ */
+function toFieldLabel(field) {
+  const spaced = field.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Quarter number of an ISO date (year * 4 + quarter), or null
+ */
+function getQuarter(date) {
+  const match = /^(\d{4})-(\d{2})/.exec(date || '');
+  return match ? Number(match[1]) * 4 + Math.floor((Number(match[2]) - 1) / 3) : null;
+}
+
+function formatQuarter(quarter) {
+  return `Q${(quarter % 4) + 1} ${Math.floor(quarter / 4)}`;
+}
+
+/**
+ * Whether one changed field meets an alert rule
+ * Returns the change summary, e.g. "Amount 50000 → 40000 (-20%)", or null
+ */
+function matchAlertRule(rule, change) {
+  const { oldValue, newValue } = change;
+  if (rule.field !== change.field || isEmptyValue(oldValue)) return null;
+
+  const threshold = Number(rule.threshold) || 0;
+  const summary = `${toFieldLabel(change.field)} ${oldValue} → ${isEmptyValue(newValue) ? 'empty' : newValue}`;
+  switch (rule.condition) {
+    case 'changed':
+      return summary;
+    case 'decreasedBy':
+    case 'increasedBy': {
+      if (typeof oldValue !== 'number' || typeof newValue !== 'number' || oldValue === 0) return null;
+      const percent = (newValue - oldValue) / Math.abs(oldValue) * 100;
+      const met = rule.condition === 'decreasedBy' ? -percent > threshold : percent > threshold;
+      return met ? `${summary} (${percent > 0 ? '+' : ''}${Math.round(percent)}%)` : null;
+    }
+    case 'movedLater': {
+      const days = (Date.parse(newValue) - Date.parse(oldValue)) / 86400000;
+      return days > threshold ? `${summary} (+${Math.round(days)} days)` : null;
+    }
+    case 'laterQuarter': {
+      const from = getQuarter(oldValue);
+      const to = getQuarter(newValue);
+      return from !== null && to !== null && to > from ? `${summary} (${formatQuarter(from)} → ${formatQuarter(to)})` : null;
+    }
+    case 'becomes':
+      return String(newValue ?? '').toLowerCase() === String(rule.threshold ?? '').toLowerCase() ? summary : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Add an alert to the inbox (the "alerts" meta value) when a watched record's
+ * changes meet any alert rule:
+ * { id, recordId, objectType, recordName, createdAt, read, changes }
+ */
+async function raiseAlerts(session, record, changes, alertRules = []) {
+  if (!record.watched || record.deleted) return;
+
+  const matched = [];
+  changes.forEach(change => {
+    const summary = alertRules.map(rule => matchAlertRule(rule, change)).find(Boolean);
+    if (summary) matched.push({ ...change, summary });
+  });
+  if (matched.length === 0) return;
+
+  const recordData = record.data || {};
+  session.setMeta('alerts', [...((await session.getMeta('alerts')) || []), {
+    id: generateUUID(),
+    recordId: record.id,
+    objectType: record.objectType,
+    recordName: recordData.name || recordData.subject || record.id,
+    createdAt: Date.now(),
+    read: false,
+    changes: matched
+  }].slice(-MAX_ALERTS));
+}
+
+/**
+ * Show a notification for each new alert
+ */
+function notifyAlerts(alerts) {
+  alerts.forEach(alert => {
+    chrome.notifications.create(alert.id, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: `Pipeline change: ${alert.recordName}`,
+      message: alert.changes.map(c => c.summary).join('\n'),
+      priority: 1
     });
   });
 }
 
+/**
+ * Insert or update one record in the record store (through an update session)
+ * An existing record is merged with mergeRecord under the object type's policy
+ * (settings.mergePolicies) and the fields that changed are appended to record.history
+ * (the last MAX_HISTORY versions):
+ * [{ changedAt, source, changes: [{ field, oldValue, newValue }] }]
+ * Changes of watched records are checked against settings.alertRules (see raiseAlerts).
+ * Resolves with 'inserted' or 'updated'
+ */
+async function upsertRecord(session, record, settings = {}) {
+  const mergePolicies = settings.mergePolicies || {};
+  const objectType = record.objectType || 'opportunity';
+
+  // Custom objects get their tab label registered on the fly
+  if (!OBJECT_TYPES[objectType]) {
+    const customObjects = (await session.getMeta('customObjects')) || {};
+    const label = record.objectLabel || customObjects[objectType]?.label || objectType;
+    if (customObjects[objectType]?.label !== label) {
+      session.setMeta('customObjects', { ...customObjects, [objectType]: { label } });
+    }
+  }
+
+  const existing = await session.getRecord(objectType, record.id);
+
+  if (existing) {
+    const merged = mergeRecord(existing, record, mergePolicies[objectType] || DEFAULT_MERGE_POLICY);
+
+    // Keep the changed fields as a version of the record
+    const changes = diffRecordData(existing.data, merged.data);
+    merged.history = existing.history || [];
+    if (changes.length > 0) {
+      merged.history = [
+        ...merged.history,
+        { changedAt: merged.lastUpdated || Date.now(), source: getRecordSource(record), changes }
+      ].slice(-MAX_HISTORY);
+    }
+    if (merged.history.length === 0) delete merged.history;
+
+    // Preserve soft-delete and watch state if they exist
+    if (existing.deleted) {
+      merged.deleted = true;
+      merged.deletedAt = existing.deletedAt;
+    }
+    if (existing.watched) merged.watched = true;
+    // Keep the stored parent link unless the new copy has one from an equal or better source
+    const existingRank = SOURCE_RANKS[getRecordSource(existing)] || 0;
+    const incomingRank = SOURCE_RANKS[getRecordSource(record)] || 0;
+    if (existing.parentId && (!record.parentId || incomingRank < existingRank)) {
+      merged.parentId = existing.parentId;
+      merged.relationship = existing.relationship;
+    }
+    session.putRecord(merged);
+    await raiseAlerts(session, merged, changes, settings.alertRules);
+    return 'updated';
+  }
+
+  session.putRecord({ ...record, objectType });
+  return 'inserted';
+}
+
+/**
+ * Merge records into the record store and show the alerts they raised
+ * Resolves with the result of mergeRecords(session)
+ */
+async function mergeWithAlerts(mergeRecords) {
+  let newAlerts = [];
+  const result = await updateData(async session => {
+    const knownAlerts = new Set(((await session.getMeta('alerts')) || []).map(a => a.id));
+    const merged = await mergeRecords(session);
+    session.setMeta('lastSync', Date.now());
+    newAlerts = ((await session.getMeta('alerts')) || []).filter(a => !knownAlerts.has(a.id));
+    return merged;
+  });
+
+  notifyAlerts(newAlerts);
+  return result;
+}
+
+/**
+ * Merge extracted record and related records into storage
+ * All records are merged in one queued storage update
+ */
+async function mergeToStorage(mainRecord, relatedRecords = [], settings = {}) {
+  const mainResult = await mergeWithAlerts(async session => {
+    const result = await upsertRecord(session, mainRecord, settings);
+    for (const record of relatedRecords) await upsertRecord(session, record, settings);
+    await linkCampaignMembers(session, [mainRecord, ...relatedRecords]);
+    return result;
+  });
+
+  const relatedCount = relatedRecords.length;
+  console.log(`[SW] ${mainRecord.objectType} and ${relatedCount} related records merged to storage`);
+  return {
+    inserted: mainResult === 'inserted' ? 1 : 0,
+    updated: mainResult === 'updated' ? 1 : 0,
+    objectType: mainRecord.objectType,
+    objectLabel: mainRecord.objectLabel,
+    relatedCount
+  };
+}
+
+/**
+ * Merge a multi-record extraction (list view rows, console tabs) into storage in one update
+ * objectType is null when the records are of different types
+ */
+async function mergeListToStorage(records, relatedRecords = [], source = 'listView', settings = {}) {
+  const { inserted, updated } = await mergeWithAlerts(async session => {
+    const counts = { inserted: 0, updated: 0 };
+    for (const record of records) counts[await upsertRecord(session, record, settings)]++;
+    for (const record of relatedRecords) await upsertRecord(session, record, settings);
+    await linkCampaignMembers(session, [...records, ...relatedRecords]);
+    return counts;
+  });
+
+  console.log(`[SW] ${records.length} records (${source}) merged to storage`);
+
+  const sameType = records.every(r => r.objectType === records[0].objectType);
+  return {
+    inserted,
+    updated,
+    objectType: sameType ? records[0].objectType : null,
+    objectLabel: sameType ? records[0].objectLabel : null,
+    count: records.length,
+    relatedCount: relatedRecords.length,
+    source
+  };
+}
+
+/**
+ * Stored record of a popup message payload { objectType, recordId }
+ */
+async function findStoredRecord(session, { objectType, recordId }) {
+  const record = await session.getRecord(objectType, recordId);
+  if (!record) {
+    const err = new Error(`No stored ${objectType} ${recordId}`);
+    err.reason = 'RECORD_NOT_FOUND';
+    throw err;
+  }
+  return record;
+}
+
+/**
+ * Popup changes of stored data, by message type
+ * Each runs as one queued storage update and resolves with the response fields
+ */
+const DATA_UPDATES = {
+  // Soft delete: the record is hidden but kept, so it can be restored
+  async DELETE_RECORD(session, payload) {
+    const record = await findStoredRecord(session, payload);
+    session.putRecord({ ...record, deleted: true, deletedAt: Date.now() });
+    session.setMeta('lastSync', Date.now());
+    return { recordName: record.data?.name || record.data?.subject || 'Record' };
+  },
+
+  async RESTORE_RECORD(session, payload) {
+    const record = await findStoredRecord(session, payload);
+    session.putRecord({ ...record, deleted: false, deletedAt: null });
+    session.setMeta('lastSync', Date.now());
+    return {};
+  },
+
+  async SET_WATCHED(session, payload) {
+    const { watched, ...record } = await findStoredRecord(session, payload);
+    session.putRecord(payload.watched ? { ...record, watched: true } : record);
+    return { watched: Boolean(payload.watched) };
+  },
+
+  async MARK_ALERTS_READ(session) {
+    const alerts = (await session.getMeta('alerts')) || [];
+    session.setMeta('alerts', alerts.map(a => ({ ...a, read: true })));
+    return {};
+  },
+
+  async DISMISS_ALERT(session, payload) {
+    const alerts = (await session.getMeta('alerts')) || [];
+    session.setMeta('alerts', alerts.filter(a => a.id !== payload.alertId));
+    return {};
+  }
+};
+
+/**
+ * Handle a DATA_UPDATES message from the popup
+ */
+async function handleDataUpdate(message, sendResponse) {
+  try {
+    const result = await updateData(session => DATA_UPDATES[message.type](session, message.payload || {}));
+    sendResponse({ status: 'ok', ...result });
+  } catch (err) {
+    console.error(`[SW] ${message.type} failed:`, err);
+    sendResponse({ status: 'error', reason: err.reason || 'UNKNOWN_ERROR', message: err.message });
+  }
+}
+
 /**
  * Handle REQUEST_EXTRACT from popup
  */
@@ -249,13 +689,28 @@ async function handleExtractRequest(sendResponse) {
     }
 
     // Send extraction request
+    const settings = await loadSettings();
+    const options = {
+      allConsoleTabs: settings.extractAllConsoleTabs,
+      allFields: settings.extractAllFields,
+      locale: settings.locale,
+      readyTimeoutMs: settings.pageReadyTimeout * 1000,
+      feedItemLimit: settings.feedItemLimit
+    };
     const requestId = generateUUID();
-    let result = await sendExtractionRequest(tab.id, requestId);
+    let result = await sendExtractionRequest(tab.id, requestId, options);
 
     // Retry once on timeout
     if (!result.success && result.reason === 'TIMEOUT') {
       console.log('[SW] Retrying extraction...');
-      result = await sendExtractionRequest(tab.id, generateUUID());
+      result = await sendExtractionRequest(tab.id, generateUUID(), options);
+    }
+
+    // The page was still showing the previous record or loading; give it more time
+    for (let attempt = 1; attempt <= PAGE_NOT_READY_RETRIES && result.reason === 'PAGE_NOT_READY'; attempt++) {
+      console.log(`[SW] Page not ready, retry ${attempt}/${PAGE_NOT_READY_RETRIES}...`);
+      await sleep(PAGE_NOT_READY_DELAY_MS);
+      result = await sendExtractionRequest(tab.id, generateUUID(), options);
     }
 
     if (!result.success) {
@@ -267,15 +722,32 @@ async function handleExtractRequest(sendResponse) {
       return;
     }
 
-    // Validate payload
     const payload = result.payload;
-    if (!payload || !payload.record || !payload.record.id || !payload.record.data) {
+    const isValidRecord = r => r && r.id && r.data;
+
+    // List view and console tab extractions carry every record in payload.records
+    if (payload && Array.isArray(payload.records)) {
+      if (payload.records.length === 0 || !payload.records.every(isValidRecord)) {
+        sendResponse({ status: 'error', reason: 'INVALID_PAYLOAD' });
+        return;
+      }
+
+      const mergeResult = await mergeListToStorage(payload.records, payload.relatedRecords, payload.source, settings);
+      sendResponse({
+        status: 'ok',
+        merged: mergeResult
+      });
+      return;
+    }
+
+    // Validate payload
+    if (!payload || !isValidRecord(payload.record)) {
       sendResponse({ status: 'error', reason: 'INVALID_PAYLOAD' });
       return;
     }
 
     // Merge to storage
-    const mergeResult = await mergeToStorage(payload.record, payload.relatedRecords);
+    const mergeResult = await mergeToStorage(payload.record, payload.relatedRecords, settings);
 
     sendResponse({
       status: 'ok',
@@ -287,7 +759,7 @@ async function handleExtractRequest(sendResponse) {
     console.error('[SW] Extract request error:', err);
     sendResponse({
       status: 'error',
-      reason: 'UNKNOWN_ERROR',
+      reason: err.reason || 'UNKNOWN_ERROR',
       message: err.message
     });
   }
@@ -303,6 +775,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (DATA_UPDATES[message.type]) {
+    handleDataUpdate(message, sendResponse);
+    return true;
+  }
+
+  // The popup reads the record store itself once legacy data is moved into it
+  if (message.type === 'STORAGE_READY') {
+    whenStorageReady().then(
+      () => sendResponse({ status: 'ok' }),
+      err => sendResponse({ status: 'error', reason: err.reason, message: err.message })
+    );
+    return true;
+  }
+
   // EXTRACTION_RESULT and EXTRACTION_ERROR are handled in sendExtractionRequest listener
   return false;
 });
@@ -0,0 +1,272 @@
+/**
+ * Storage Service
+ * The service worker is the only writer of the record store (see
+ * shared/record-store.js); extractions and popup changes (deletes, restores,
+ * watches, alerts) all go through updateData. Updates are queued and applied
+ * one at a time. Each reads the rows it needs into a session and commits the
+ * rows it changed in one transaction, only if the store's version is still
+ * the one it started from. A changed version means someone else wrote in
+ * between, and the update is applied again to the fresh rows, so no write is lost.
+ */
+
+// chrome.storage.local object that held every record before the record store
+const LEGACY_DATA_KEY = 'salesforce_data';
+
+// Times an update is re-applied after a version conflict before it fails
+const MAX_WRITE_ATTEMPTS = 5;
+
+let writeQueue = Promise.resolve();
+
+// Pending or finished migration of legacy data; cleared when it fails so it is retried
+let migration = null;
+
+/**
+ * Row stored for a record: the record with the org it was extracted from
+ */
+function toRecordRow(record) {
+  const org = getOrgFromUrl(record.sourceUrl);
+  return org ? { ...record, org } : record;
+}
+
+/**
+ * Rows and meta values one update reads and changes
+ * Reads go to the record store once and are then served from the session, so
+ * the update sees its own changes; nothing is written until commitSession
+ */
+function createSession() {
+  const records = new Map();
+  const changedRecords = new Set();
+  const meta = new Map();
+  const changedMeta = new Set();
+
+  const keyOf = (objectType, id) => `${objectType}\n${id}`;
+
+  // Keep the session's copy of rows read again
+  const remember = (rows) => rows.forEach(row => {
+    const key = keyOf(row.objectType, row.id);
+    if (!records.has(key)) records.set(key, row);
+  });
+
+  return {
+    async getRecord(objectType, id) {
+      const key = keyOf(objectType, id);
+      if (!records.has(key)) records.set(key, (await getStoredRecord(objectType, id)) || null);
+      return records.get(key);
+    },
+
+    /**
+     * Record of an object type by its 15- or 18-character ID
+     */
+    async findRecord(objectType, id) {
+      remember((await queryRecords('id', getIdRange(id))).filter(r => r.objectType === objectType));
+      return Array.from(records.values())
+        .find(r => r && r.objectType === objectType && r.id.slice(0, 15) === id.slice(0, 15)) || null;
+    },
+
+    async getRecordsOfType(objectType) {
+      remember(await queryRecords('objectType', objectType));
+      return Array.from(records.values()).filter(r => r && r.objectType === objectType);
+    },
+
+    putRecord(record) {
+      const key = keyOf(record.objectType, record.id);
+      records.set(key, toRecordRow(record));
+      changedRecords.add(key);
+    },
+
+    async getMeta(key) {
+      if (!meta.has(key)) meta.set(key, await getMetaValue(key));
+      return meta.get(key);
+    },
+
+    setMeta(key, value) {
+      meta.set(key, value);
+      changedMeta.add(key);
+    },
+
+    getChanges() {
+      return {
+        records: Array.from(changedRecords).map(key => records.get(key)),
+        meta: Array.from(changedMeta).map(key => [key, meta.get(key)])
+      };
+    }
+  };
+}
+
+/**
+ * Write a session's changes in one transaction if the store is still at version
+ * Resolves true when written, false on a version conflict
+ */
+async function commitSession(session, version) {
+  const db = await openRecordDb();
+  const changes = session.getChanges();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([RECORDS_STORE, META_STORE], 'readwrite');
+    const metaStore = tx.objectStore(META_STORE);
+    let written = false;
+
+    const check = metaStore.get('version');
+    check.onsuccess = () => {
+      if ((check.result || 0) !== version) {
+        tx.abort();
+        return;
+      }
+      const recordStore = tx.objectStore(RECORDS_STORE);
+      changes.records.forEach(row => recordStore.put(row));
+      changes.meta.forEach(([key, value]) => metaStore.put(value, key));
+      metaStore.put(version + 1, 'version');
+      written = true;
+    };
+
+    tx.oncomplete = () => resolve(true);
+    tx.onabort = () => {
+      if (written) reject(tx.error || new Error('Record store write failed'));
+      else resolve(false);
+    };
+  });
+}
+
+/**
+ * Tell open popups the store changed
+ */
+function announceVersion(version) {
+  chrome.storage.local.set({ [DATA_VERSION_KEY]: version });
+}
+
+/**
+ * Add a value unless its key is already stored; a stored value is never older
+ * than the legacy one, and the failed add must not abort the transaction
+ */
+function addIfMissing(store, value, key, onAdded) {
+  const request = key === undefined ? store.add(value) : store.add(value, key);
+  request.onsuccess = onAdded || null;
+  request.onerror = (event) => {
+    if (request.error?.name !== 'ConstraintError') return;
+    event.preventDefault();
+    event.stopPropagation();
+  };
+}
+
+/**
+ * Move the records of the legacy chrome.storage.local object into the record
+ * store, once; the object is removed afterwards to free the storage quota
+ * Rows and meta values already in the store are kept, and the version only
+ * goes up, so open popups re-query.
+ */
+async function migrateLegacyData() {
+  const result = await new Promise(resolve => chrome.storage.local.get([LEGACY_DATA_KEY], resolve));
+  const data = result[LEGACY_DATA_KEY];
+  if (!data) return;
+
+  if (!(await getMetaValue('migratedAt'))) {
+    const db = await openRecordDb();
+    let count = 0;
+    let version = 0;
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([RECORDS_STORE, META_STORE], 'readwrite');
+      const recordStore = tx.objectStore(RECORDS_STORE);
+      const metaStore = tx.objectStore(META_STORE);
+      let failure = null;
+
+      tx.oncomplete = resolve;
+      tx.onabort = () => reject(failure || tx.error || new Error('Record store migration was aborted'));
+
+      try {
+        getAllCollectionNames(data).forEach(collectionName => {
+          const objectType = getObjectTypeOfCollection(collectionName);
+          (data[collectionName] || []).forEach(record => {
+            addIfMissing(recordStore, toRecordRow({ ...record, objectType: record.objectType || objectType }), undefined, () => count++);
+          });
+        });
+        ['customObjects', 'alerts', 'lastSync'].forEach(key => {
+          if (data[key] !== undefined) addIfMissing(metaStore, data[key], key);
+        });
+        metaStore.put(Date.now(), 'migratedAt');
+
+        const current = metaStore.get('version');
+        current.onsuccess = () => {
+          version = (current.result || 0) + 1;
+          metaStore.put(version, 'version');
+        };
+      } catch (err) {
+        // A row that cannot be stored (no ID) must not leave the others half-moved
+        failure = err;
+        tx.abort();
+      }
+    });
+    console.log(`[SW] Moved ${count} records to the record store`);
+    announceVersion(version);
+  }
+
+  await new Promise(resolve => chrome.storage.local.remove(LEGACY_DATA_KEY, resolve));
+}
+
+/**
+ * Resolve once legacy data has been moved to the record store
+ * A failed migration rejects with reason MIGRATION_FAILED and is tried again
+ * on the next call, so no update is written to a store that misses the legacy rows
+ */
+function ensureMigrated() {
+  if (!migration) {
+    migration = migrateLegacyData().catch(cause => {
+      console.error('[SW] Record store migration failed:', cause);
+      migration = null;
+      const err = new Error(`Could not move stored records to the record store: ${cause?.message || cause}`);
+      err.reason = 'MIGRATION_FAILED';
+      throw err;
+    });
+  }
+  return migration;
+}
+
+// Runs whenever the service worker starts; updates wait for it
+ensureMigrated().catch(() => {});
+
+/**
+ * Apply one update, re-applying it to fresh rows when the version changed
+ * between its reads and its commit
+ */
+async function applyUpdate(update) {
+  await ensureMigrated();
+
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    const version = (await getMetaValue('version')) || 0;
+    const session = createSession();
+    const result = await update(session);
+
+    const changes = session.getChanges();
+    if (changes.records.length === 0 && changes.meta.length === 0) return result;
+
+    if (await commitSession(session, version)) {
+      announceVersion(version + 1);
+      return result;
+    }
+    console.log(`[SW] Record store changed during update, retry ${attempt}/${MAX_WRITE_ATTEMPTS}`);
+  }
+
+  const err = new Error('Record store kept changing during the update');
+  err.reason = 'STORAGE_CONFLICT';
+  throw err;
+}
+
+/**
+ * Queue an update of the record store
+ * update(session) reads and changes rows through the session and returns (or
+ * resolves with) the result the promise resolves with; it may run more than
+ * once and must not have other side effects. An update that throws leaves the
+ * store unchanged and rejects.
+ */
+function updateData(update) {
+  const run = writeQueue.then(() => applyUpdate(update));
+  // A failed update does not stop the ones queued after it
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Resolve once legacy data has been moved to the record store (see ensureMigrated)
+ */
+function whenStorageReady() {
+  return ensureMigrated();
+}
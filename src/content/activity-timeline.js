@@ -0,0 +1,280 @@
+/**
+ * Activity Timeline
+ * Reads the Activity tab of a record page into typed activity records:
+ * logged calls, emails, events and tasks with their date and time,
+ * participants, direction and a description snippet, each linked to the
+ * record the page shows. Lightning timeline items and the Classic
+ * "Open Activities" / "Activity History" related lists are supported.
+ */
+
+(function () {
+    const log = ExtractorRegistry.createLogger('[Activity Timeline]');
+
+    // Timeline entries (expandable items in current orgs, plain items in older ones)
+    const ITEM_SELECTOR = '.slds-timeline__item_expandable, .slds-timeline__item';
+
+    // Classic related lists that list activities
+    const RELATED_LISTS = ['Open Activities', 'Activity History'];
+
+    // Activity records are recognized by the key prefix of their ID
+    const ACTIVITY_ID_PATTERN = /\b((?:00T|00U|02s)[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?)\b/;
+    const TYPE_BY_PREFIX = { '00T': 'task', '00U': 'event', '02s': 'email' };
+
+    // Object types Task and Event pages store their records under, so a timeline
+    // item and its record page are one record; other items are 'activity'
+    const OBJECT_TYPE_BY_PREFIX = { '00T': 'task', '00U': 'event' };
+
+    // Icon names of the timeline item figure
+    const TYPE_BY_ICON = { 'log-a-call': 'call', email: 'email', event: 'event', task: 'task' };
+
+    // Detail labels that hold the activity's description
+    const SNIPPET_LABELS = ['Description', 'Comments', 'Body', 'Text Body'];
+
+    const SNIPPET_LENGTH = 200;
+
+    /**
+     * Activity type from the item's modifier class or icon
+     */
+    function getItemType(item) {
+        const className = [item, ...item.querySelectorAll('[class*="slds-timeline__item_"], [class*="slds-icon-standard-"]')]
+            .map(el => el.getAttribute('class') || '')
+            .join(' ');
+
+        const modifier = className.match(/slds-timeline__item_(call|email|event|task)\b/);
+        if (modifier) return modifier[1];
+
+        const icon = className.match(/slds-icon-standard-(log-a-call|email|event|task)\b/);
+        return icon ? TYPE_BY_ICON[icon[1]] : null;
+    }
+
+    /**
+     * First link in an element that points at a Task, Event or EmailMessage
+     */
+    function findActivityLink(el) {
+        for (const link of el.querySelectorAll('a[href]')) {
+            const match = (link.getAttribute('href') || '').match(ACTIVITY_ID_PATTERN);
+            if (match) return { link, id: match[1] };
+        }
+        return null;
+    }
+
+    /**
+     * Parse a timeline date such as "10:30 AM | Mar 15" or "Mar 15, 2025"
+     * The timeline leaves out the year for the current one
+     */
+    function parseTimelineDate(text) {
+        if (!text) return null;
+        const parts = text.replace(/\b(overdue|upcoming)\b/gi, '').split('|').map(p => p.trim()).filter(Boolean);
+        const time = parts.find(p => /^\d{1,2}[:.h]\d{2}/.test(p)) || '';
+        const date = parts.find(p => p !== time) || '';
+
+        return LocaleParser.parseDateTime(`${date} ${time}`)
+            || LocaleParser.parseDateTime(`${date} ${new Date().getFullYear()} ${time}`);
+    }
+
+    /**
+     * Text of the value following a detail label inside the expanded item
+     */
+    function findDetailValue(details, labels) {
+        if (!details) return null;
+        const wanted = labels.map(l => l.toLowerCase());
+
+        for (const el of details.querySelectorAll('span, dt, div, p, label')) {
+            if (el.children.length > 0 || !wanted.includes(el.textContent.trim().toLowerCase())) continue;
+            const value = el.nextElementSibling || el.parentElement?.nextElementSibling;
+            const text = value?.textContent.replace(/\s+/g, ' ').trim();
+            if (text) return text;
+        }
+        return null;
+    }
+
+    function toSnippet(text) {
+        if (!text) return null;
+        const clean = text.replace(/\s+/g, ' ').trim();
+        return clean.length > SNIPPET_LENGTH ? `${clean.slice(0, SNIPPET_LENGTH - 1)}…` : clean || null;
+    }
+
+    /**
+     * Direction of a call or email from the item's summary sentence
+     * ("You sent an email to ...", "Jane Roe sent you an email") or Call Type
+     */
+    function getDirection(type, summary, details) {
+        if (type === 'call') {
+            const callType = findDetailValue(details, ['Call Type']) || summary;
+            if (/\binbound\b/i.test(callType)) return 'inbound';
+            if (/\boutbound\b/i.test(callType)) return 'outbound';
+            return null;
+        }
+        if (type === 'email') {
+            if (/\bsent you\b|\breceived\b/i.test(summary)) return 'inbound';
+            if (/\byou sent\b|\bsent an email\b/i.test(summary)) return 'outbound';
+        }
+        return null;
+    }
+
+    /**
+     * People named in the summary sentence: linked records and bare email addresses
+     */
+    function getParticipants(summaryEl, parentId) {
+        if (!summaryEl) return [];
+        const names = [];
+
+        summaryEl.querySelectorAll('a[href]').forEach(link => {
+            const ref = ExtractorRegistry.parseRecordHref(link.getAttribute('href'));
+            const name = link.textContent.trim();
+            if (name && !(ref && ref.id.slice(0, 15) === parentId.slice(0, 15)) && !names.includes(name)) {
+                names.push(name);
+            }
+        });
+        (summaryEl.textContent.match(/[\w.+-]+@[\w.-]+\.\w+/g) || []).forEach(address => {
+            if (!names.includes(address)) names.push(address);
+        });
+
+        return names;
+    }
+
+    /**
+     * Activity record of an item; tasks and events also get the date key their
+     * own pages use (dueDate, startDateTime)
+     */
+    function buildActivity(id, parentId, relationship, data, strategy, context) {
+        const isRecordId = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(id);
+        const objectType = (isRecordId && OBJECT_TYPE_BY_PREFIX[id.slice(0, 3)]) || 'activity';
+        if (objectType === 'task') data.dueDate = data.activityDate ? data.activityDate.slice(0, 10) : null;
+        if (objectType === 'event') data.startDateTime = data.activityDate;
+
+        const fields = {};
+        ['subject', 'activityDate'].forEach(key => {
+            fields[key] = ExtractorRegistry.describeField({ key }, { raw: data[key], strategy: data[key] ? strategy : 'none' }, data[key]);
+        });
+
+        return {
+            id,
+            objectType,
+            parentId,
+            relationship,
+            data,
+            meta: { fields },
+            sourceUrl: context.url,
+            lastUpdated: Date.now()
+        };
+    }
+
+    /**
+     * Turn one Lightning timeline item into an activity record
+     */
+    function readTimelineItem(item, parentId, context) {
+        const ref = findActivityLink(item);
+        const titleEl = item.querySelector('.slds-timeline__title, h3, h2') || ref?.link;
+        const subject = (ref?.link || titleEl)?.textContent.replace(/\s+/g, ' ').trim() || null;
+        const type = getItemType(item) || (ref ? TYPE_BY_PREFIX[ref.id.slice(0, 3)] : null);
+        if (!type || !subject) return null;
+
+        const dateEl = item.querySelector('.slds-timeline__date');
+        const dateText = dateEl?.textContent.replace(/\s+/g, ' ').trim() || null;
+        const details = item.querySelector('.slds-timeline__item_details, [class*="timeline__item_details"]');
+
+        // The sentence under the title, e.g. "You logged a call with Jane Roe"
+        const summaryEl = Array.from(item.querySelectorAll('p, div.slds-text-body_small'))
+            .find(el => !el.closest('.slds-timeline__date') && !(details && details.contains(el))
+                && /\b(you|logged|sent|had|have|with|to)\b/i.test(el.textContent));
+        const summary = summaryEl?.textContent.replace(/\s+/g, ' ').trim() || '';
+
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        let status = null;
+        if (type === 'task') {
+            if (checkbox?.checked) status = 'Completed';
+            else status = /\boverdue\b/i.test(item.textContent) ? 'Overdue' : 'Open';
+        }
+
+        const data = {
+            activityType: type,
+            subject,
+            activityDate: parseTimelineDate(dateText),
+            participants: getParticipants(summaryEl, parentId),
+            direction: getDirection(type, summary, details),
+            status,
+            snippet: toSnippet(findDetailValue(details, SNIPPET_LABELS))
+        };
+
+        // Items without a record link (e.g. not yet synced emails) get a stable hash ID
+        const id = ref ? ref.id : `${parentId}_${ExtractorRegistry.hashText(`${type}|${dateText}|${subject}`)}`;
+        const record = buildActivity(id, parentId, 'Activity', data, 'activityTimeline', context);
+        record.meta.fields.activityDate.raw = dateText;
+        return record;
+    }
+
+    /**
+     * Turn one row of a Classic activity related list into an activity record
+     */
+    function readClassicRow(row, parentId, relationship, context) {
+        const ref = findActivityLink(row.element);
+        if (!ref) return null;
+
+        const values = row.values;
+        const subject = values.Subject || ref.link.textContent.trim() || null;
+        let type = TYPE_BY_PREFIX[ref.id.slice(0, 3)];
+        if (type === 'task' && /^call\b/i.test(subject || '')) type = 'call';
+        if (type === 'task' && /^email\b/i.test(subject || '')) type = 'email';
+
+        const rawDate = values['Due Date'] || values.Date || values['Start'] || null;
+        const name = values.Name || values.Contact || null;
+
+        const data = {
+            activityType: type,
+            subject,
+            activityDate: LocaleParser.parseDateTime(rawDate),
+            participants: name ? [name] : [],
+            direction: null,
+            status: values.Status || null,
+            snippet: toSnippet(values.Comments || values.Description || null)
+        };
+
+        const record = buildActivity(ref.id, parentId, relationship, data, 'relatedList', context);
+        record.meta.fields.activityDate.raw = rawDate;
+        return record;
+    }
+
+    /**
+     * Whether a related list card is (or holds) the activity timeline
+     * The generic related list reader leaves these cards to readActivities
+     */
+    function isActivityCard(card, title) {
+        return RELATED_LISTS.some(t => t.toLowerCase() === (title || '').toLowerCase())
+            || card.querySelector(ITEM_SELECTOR) !== null;
+    }
+
+    /**
+     * Read every activity of the record page, deduplicated by ID
+     */
+    function readActivities(parentId, context) {
+        const activities = [];
+        const add = (record) => {
+            if (record && !activities.some(a => a.id === record.id)) activities.push(record);
+        };
+
+        try {
+            const items = Array.from(context.root.querySelectorAll(ITEM_SELECTOR));
+            items
+                .filter(item => !items.some(other => other !== item && other.contains(item)))
+                .forEach(item => add(readTimelineItem(item, parentId, context)));
+
+            RELATED_LISTS.forEach(title => {
+                const card = ExtractorRegistry.findRelatedListCard(title, context.root);
+                if (!card) return;
+                ExtractorRegistry.readRelatedListRows(card).forEach(row => add(readClassicRow(row, parentId, title, context)));
+            });
+        } catch (err) {
+            log('Error reading activities:', err.message);
+        }
+
+        log(`Found ${activities.length} activities`);
+        return activities;
+    }
+
+    // Expose to global scope
+    window.ActivityTimeline = {
+        isActivityCard,
+        readActivities
+    };
+})();
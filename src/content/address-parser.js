@@ -0,0 +1,192 @@
+/**
+ * Address Parser
+ * Splits compound address fields (Billing/Shipping/Mailing Address) into
+ * { street, city, state, postalCode, country, countryCode }. Salesforce shows
+ * them as several lines: street lines, a city line whose layout depends on
+ * the country ("San Francisco, CA 94105", "10115 Berlin", "London SW1A 2AA")
+ * and the country. Country names are resolved to ISO 3166 codes with Intl,
+ * in the user's locale and English.
+ */
+
+(function () {
+    const DEBUG = true;
+
+    // Country spellings Intl.DisplayNames does not produce
+    const COUNTRY_ALIASES = {
+        usa: 'US', 'u.s.a.': 'US', 'u.s.': 'US', 'united states of america': 'US', america: 'US',
+        uk: 'GB', 'u.k.': 'GB', 'great britain': 'GB', england: 'GB', scotland: 'GB', wales: 'GB',
+        holland: 'NL', 'the netherlands': 'NL', deutschland: 'DE', 'south korea': 'KR', 'korea': 'KR',
+        russia: 'RU', 'czech republic': 'CZ', uae: 'AE'
+    };
+
+    // "San Francisco, CA 94105", "Toronto, ON M5V 2T6", "Sydney, NSW 2000", "Austin, Texas"
+    const CITY_STATE_POSTAL = /^(.+?),\s*([A-Za-z][A-Za-z .]*?)(?:\s+([A-Z0-9]{3,5}(?:[ -][A-Z0-9]{3,4})?))?$/;
+
+    // "10115 Berlin", "75008 Paris", "1012 AB Amsterdam", "D-80331 München"
+    const POSTAL_CITY = /^((?:[A-Z]{1,2}-)?\d{4,5}(?:\s?[A-Z]{2})?)\s+(.+)$/;
+
+    // "London SW1A 2AA", "Dublin D02 X285"
+    const CITY_POSTAL = /^(.+?)\s+([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}|[A-Z]\d{2}\s?[A-Z\d]{4})$/;
+
+    // "CA 94105", "ON M5V 2T6", "NSW 2000": state code and postal code of a one-line address
+    const STATE_POSTAL = /^[A-Z]{2,3}(?:\s+[A-Z0-9]{3,5}(?:[ -][A-Z0-9]{3,4})?)?$/;
+
+    // "〒100-0001" and other postal codes on a line of their own
+    const POSTAL_ONLY = /^〒?\s*(\d{3}-\d{4}|\d{4,6}|[A-Z]\d[A-Z]\s?\d[A-Z]\d)$/;
+
+    // "1 Market St", "Suite 300", "Hauptstraße 5": a line that is a street, not a city
+    const STREET_LINE = /^\d{1,3}[A-Za-z]?\s+\S|\b(?:street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|way|parkway|pkwy|court|ct|place|pl|highway|hwy|suite|ste|floor|unit|apt|p\.?o\.? box|rue|via|calle)\b\.?|(?:straße|strasse|str\.)/i;
+
+    // Region codes Intl names that are not countries
+    const NON_COUNTRIES = ['EU', 'EZ', 'UN', 'QO', 'XA', 'XB', 'ZZ'];
+
+    const countryCache = {};
+
+    function log(...args) {
+        if (DEBUG) console.log('[Address]', ...args);
+    }
+
+    /**
+     * Lower-case country names to ISO codes for a locale (plus English)
+     * Returns { names, codes }; codes maps deprecated codes ("UK", "DD") to current ones
+     */
+    function getCountries(locale) {
+        if (countryCache[locale]) return countryCache[locale];
+
+        const names = {};
+        const codes = {};
+        [locale, 'en'].forEach(loc => {
+            let display;
+            try {
+                display = new Intl.DisplayNames([loc], { type: 'region', fallback: 'none' });
+            } catch (err) {
+                return;
+            }
+            for (let a = 65; a <= 90; a++) {
+                for (let b = 65; b <= 90; b++) {
+                    const code = String.fromCharCode(a, b);
+                    const name = display.of(code);
+                    if (!name || NON_COUNTRIES.includes(code)) continue;
+
+                    const current = Intl.getCanonicalLocales(`und-${code}`)[0].split('-')[1];
+                    codes[code] = current;
+                    if (current === code && !names[name.toLowerCase()]) names[name.toLowerCase()] = code;
+                }
+            }
+        });
+
+        countryCache[locale] = { names, codes };
+        return countryCache[locale];
+    }
+
+    /**
+     * ISO 3166 alpha-2 code of a country name, or null
+     * allowCodes also accepts a code such as "US" (orgs without country picklists
+     * show whatever was typed); a trailing "CA" is otherwise a state
+     */
+    function getCountryCode(country, locale = LocaleParser.getLocale(), allowCodes = true) {
+        if (!country) return null;
+        const text = String(country).trim();
+        const { names, codes } = getCountries(locale);
+
+        if (/^[A-Z]{2}$/.test(text)) {
+            return allowCodes ? codes[text] || null : null;
+        }
+        const lower = text.toLowerCase();
+        return names[lower] || COUNTRY_ALIASES[lower] || null;
+    }
+
+    /**
+     * Read a line laid out like a city line into { city, state, postalCode }, or null
+     */
+    function matchCityLine(line) {
+        const usStyle = line.match(CITY_STATE_POSTAL);
+        if (usStyle) return { city: usStyle[1], state: usStyle[2].trim(), postalCode: usStyle[3] || null };
+
+        const postalFirst = line.match(POSTAL_CITY);
+        if (postalFirst) return { city: postalFirst[2], state: null, postalCode: postalFirst[1] };
+
+        const postalLast = line.match(CITY_POSTAL);
+        if (postalLast) return { city: postalLast[1], state: null, postalCode: postalLast[2] };
+
+        return null;
+    }
+
+    /**
+     * Read the city line into { city, state, postalCode }
+     */
+    function parseCityLine(line) {
+        return matchCityLine(line) || { city: line, state: null, postalCode: null };
+    }
+
+    /**
+     * City of the only line left of an address, or null when it is the street
+     * A line that looks like a street stays one; otherwise it is a city when it
+     * matches a city line layout, or is a bare name ("Paris") above a country
+     */
+    function parseLoneCityLine(line, hasCountry) {
+        if (STREET_LINE.test(line)) return null;
+        return matchCityLine(line)
+            || (hasCountry && !/\d/.test(line) ? { city: line, state: null, postalCode: null } : null);
+    }
+
+    /**
+     * Parse an address shown as lines (or one comma-separated line)
+     * Returns { street, city, state, postalCode, country, countryCode } or null
+     */
+    function parseAddress(text, locale = LocaleParser.getLocale()) {
+        if (!text) return null;
+
+        let lines = String(text).split('\n').map(l => l.trim()).filter(Boolean);
+        if (lines.length === 0) return null;
+
+        // List views and related lists show the address on one line
+        const oneLine = lines.length === 1;
+        if (oneLine) {
+            lines = lines[0].split(/\s*,\s*/).filter(Boolean);
+            // Put "City, ST 12345" back together
+            const last = lines.length - (getCountryCode(lines[lines.length - 1], locale, false) ? 2 : 1);
+            if (last > 0 && STATE_POSTAL.test(lines[last])) {
+                lines.splice(last - 1, 2, `${lines[last - 1]}, ${lines[last]}`);
+            }
+        }
+
+        const address = { street: null, city: null, state: null, postalCode: null, country: null, countryCode: null };
+
+        const countryCode = lines.length > 1 ? getCountryCode(lines[lines.length - 1], locale, !oneLine) : null;
+        if (countryCode) {
+            address.country = lines.pop();
+            address.countryCode = countryCode;
+        }
+
+        // A postal code on its own line (Japanese addresses put it first)
+        const postalIndex = lines.findIndex(l => POSTAL_ONLY.test(l));
+        if (postalIndex !== -1 && lines.length > 1) {
+            address.postalCode = lines.splice(postalIndex, 1)[0].replace(/^〒\s*/, '');
+        }
+
+        // "San Francisco, CA 94105\nUSA" and "Paris\nFrance" have no street
+        let cityLine = null;
+        if (lines.length > 1) {
+            cityLine = parseCityLine(lines.pop());
+        } else if (lines.length === 1) {
+            cityLine = parseLoneCityLine(lines[0], Boolean(countryCode));
+            if (cityLine) lines.pop();
+        }
+        if (cityLine) {
+            address.city = cityLine.city;
+            address.state = cityLine.state;
+            address.postalCode = address.postalCode || cityLine.postalCode;
+        }
+        address.street = lines.join('\n') || null;
+
+        log('Parsed address:', address);
+        return address;
+    }
+
+    // Expose to global scope
+    window.AddressParser = {
+        parseAddress,
+        getCountryCode
+    };
+})();
@@ -0,0 +1,290 @@
+/**
+ * Chatter Feed
+ * Reads the Chatter feed of a record page into feed item records: author,
+ * timestamp, body text, @mentions, likes and nested comments, each linked
+ * to the record the page shows. "More" is clicked until the configured
+ * number of feed items is loaded or the feed has no more.
+ */
+
+(function () {
+    const log = ExtractorRegistry.createLogger('[Chatter Feed]');
+
+    const DEFAULT_MAX_ITEMS = 20;
+
+    // How long to wait for the feed to append items after clicking "More"
+    const MORE_WAIT_MS = 3000;
+    const POLL_MS = 200;
+
+    // Feed posts (Lightning feed elements, Classic feed items)
+    const ITEM_SELECTOR = '.cuf-feedElement, .forceChatterFeedItem, .feeditem, [data-feed-item-id]';
+
+    // Feed lists with their "More" controls (Lightning, Classic)
+    const FEED_CONTAINER_SELECTOR = '.cuf-feed, .forceChatterFeed, .feedcontainer, #feedwrapper';
+
+    // Comments nested in a post
+    const COMMENT_SELECTOR = '.cuf-commentItem, .forceChatterComment, .slds-comment, .feeditemcomment';
+
+    const HEADER_SELECTOR = '.cuf-feedElementHeader, .slds-post__header, .feeditemfirstentity, header';
+    const BODY_SELECTOR = '.cuf-feedBodyText, .feedBodyInner, .slds-post__content, .feeditemtext';
+    const COMMENT_BODY_SELECTOR = '.cuf-commentBody, .slds-comment__content, .feedcommenttext, .feedCommentBody';
+    const TIMESTAMP_SELECTOR = 'time, .cuf-timestamp, .feeditemtimestamp, .slds-post__meta a[title]';
+    const LIKES_SELECTOR = '.cuf-likesCount, .cuf-feedElementLikes, .feeditemlikes, .slds-post__likes';
+
+    // Button labels that load older feed items
+    const MORE_LABELS = /^(more|show more|view more|show more posts|more posts)$/i;
+
+    // Key prefixes of feed item and feed comment IDs
+    const FEED_ITEM_PREFIX = '0D5';
+    const FEED_COMMENT_PREFIX = '0D7';
+
+    let maxItems = DEFAULT_MAX_ITEMS;
+    let onProgress = () => {};
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Set how many feed items to load (0 skips the feed) and a progress
+     * callback onProgress(loaded, total) called after each "More" click
+     */
+    function configure(options = {}) {
+        maxItems = options.maxItems >= 0 ? options.maxItems : DEFAULT_MAX_ITEMS;
+        onProgress = options.onProgress || (() => {});
+    }
+
+    function cleanText(el) {
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() || null : null;
+    }
+
+    /**
+     * Posts of the feed, without the comments nested in them
+     */
+    function getFeedItems(root) {
+        const items = Array.from(root.querySelectorAll(ITEM_SELECTOR));
+        return items.filter(item => !items.some(other => other !== item && other.contains(item)));
+    }
+
+    /**
+     * Element holding the feed: its container, or the closest common ancestor
+     * of its posts; null without posts
+     */
+    function getFeedContainer(root) {
+        const items = getFeedItems(root);
+        if (items.length === 0) return null;
+
+        const container = items[0].closest(FEED_CONTAINER_SELECTOR);
+        if (container && root.contains(container)) return container;
+
+        let ancestor = items[0].parentElement;
+        while (ancestor && ancestor !== root && !items.every(item => ancestor.contains(item))) {
+            ancestor = ancestor.parentElement;
+        }
+        return ancestor || root;
+    }
+
+    /**
+     * "More" control of the feed; other "More" buttons of the page (tab
+     * overflow, header actions) are outside the feed container
+     */
+    function findMoreButton(root) {
+        const container = getFeedContainer(root);
+        if (!container) return null;
+        return Array.from(container.querySelectorAll('button, a.cuf-showMore, a.cxshowmorefeeditemscontainer'))
+            .find(el => MORE_LABELS.test(cleanText(el) || '') && !el.disabled) || null;
+    }
+
+    /**
+     * Click "More" until maxItems posts are loaded or no new posts arrive
+     */
+    async function loadItems(root) {
+        let count = getFeedItems(root).length;
+
+        while (count < maxItems) {
+            const button = findMoreButton(root);
+            if (!button) break;
+
+            button.click();
+            const before = count;
+            for (let waited = 0; waited < MORE_WAIT_MS && count === before; waited += POLL_MS) {
+                await sleep(POLL_MS);
+                count = getFeedItems(root).length;
+            }
+
+            onProgress(Math.min(count, maxItems), maxItems);
+            if (count === before) break;
+        }
+
+        log(`Loaded ${count} feed items`);
+    }
+
+    /**
+     * Salesforce ID with the given key prefix from a post's or comment's
+     * attributes or links (the timestamp links to the post)
+     */
+    function findFeedId(el, prefix, own = () => true) {
+        const pattern = new RegExp(`\\b(${prefix}[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?)\\b`);
+        const values = [
+            ...['data-feed-item-id', 'data-id', 'id'].map(attr => el.getAttribute(attr)),
+            ...Array.from(el.querySelectorAll('a[href]')).filter(own).map(link => link.getAttribute('href'))
+        ];
+        for (const value of values) {
+            const match = (value || '').match(pattern);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    /**
+     * Read a timestamp element as { raw, value } with value in YYYY-MM-DDTHH:mm
+     * local time, like other datetime fields. The datetime attribute and the
+     * tooltip hold the full date when the text is relative ("2h ago").
+     */
+    function readTimestamp(stamp) {
+        if (!stamp) return { raw: null, value: null };
+
+        const attr = stamp.getAttribute('datetime') || stamp.querySelector('[datetime]')?.getAttribute('datetime');
+        const date = attr ? new Date(attr) : null;
+        if (date && !isNaN(date)) {
+            const pad = n => String(n).padStart(2, '0');
+            const value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            return { raw: attr, value };
+        }
+
+        const raw = stamp.getAttribute('title') || cleanText(stamp);
+        return { raw, value: LocaleParser.parseDateTime(raw) };
+    }
+
+    /**
+     * Names @mentioned in a body: user and group links
+     */
+    function readMentions(bodyEl) {
+        if (!bodyEl) return [];
+        const mentions = [];
+        bodyEl.querySelectorAll('a[href]').forEach(link => {
+            const ref = ExtractorRegistry.parseRecordHref(link.getAttribute('href'));
+            const text = cleanText(link) || '';
+            if (!text.startsWith('@') && !(ref && ['User', 'Group'].includes(ref.apiName))) return;
+
+            const name = text.replace(/^@/, '');
+            if (name && !mentions.includes(name)) mentions.push(name);
+        });
+        return mentions;
+    }
+
+    /**
+     * Like count from "12 likes", "Jane Roe likes this" or
+     * "Jane Roe and 3 others like this"
+     */
+    function readLikes(likesEl) {
+        const text = cleanText(likesEl) || '';
+        if (!text) return 0;
+
+        const others = text.match(/and (\d+) others? likes? this/i);
+        if (others) return Number(others[1]) + 1;
+        if (/\band\b.+\blike this/i.test(text)) return 2;
+        if (/\blikes? this/i.test(text)) return 1;
+
+        const count = text.match(/(\d+)/);
+        return count ? Number(count[1]) : 0;
+    }
+
+    function readAuthor(el) {
+        const header = el.querySelector(HEADER_SELECTOR) || el;
+        return cleanText(header.querySelector('a[href]')) || null;
+    }
+
+    function readComment(commentEl, postId) {
+        const bodyEl = commentEl.querySelector(COMMENT_BODY_SELECTOR);
+        const body = cleanText(bodyEl);
+        if (!body) return null;
+
+        const author = readAuthor(commentEl);
+        const timestamp = readTimestamp(commentEl.querySelector(TIMESTAMP_SELECTOR));
+        return {
+            id: findFeedId(commentEl, FEED_COMMENT_PREFIX) || `${postId}_${ExtractorRegistry.hashText(`${author}|${timestamp.raw}|${body}`)}`,
+            author,
+            timestamp: timestamp.value,
+            body,
+            mentions: readMentions(bodyEl),
+            likes: readLikes(commentEl.querySelector(LIKES_SELECTOR))
+        };
+    }
+
+    /**
+     * Turn one post into a feed item record
+     */
+    function readItem(item, parentId, context) {
+        // Comments sit inside the post; keep them out of the post's own fields
+        const comments = Array.from(item.querySelectorAll(COMMENT_SELECTOR));
+        const own = (el) => !comments.some(c => c.contains(el));
+        const bodyEl = Array.from(item.querySelectorAll(BODY_SELECTOR)).find(own) || null;
+        const body = cleanText(bodyEl);
+        const author = readAuthor(item);
+        if (!body && !author) return null;
+
+        const timestamp = readTimestamp(Array.from(item.querySelectorAll(TIMESTAMP_SELECTOR)).find(own));
+
+        const id = findFeedId(item, FEED_ITEM_PREFIX, own) || `${parentId}_${ExtractorRegistry.hashText(`${author}|${timestamp.raw}|${body}`)}`;
+        const data = {
+            author,
+            timestamp: timestamp.value,
+            body,
+            mentions: readMentions(bodyEl),
+            likes: readLikes(Array.from(item.querySelectorAll(LIKES_SELECTOR)).find(own)),
+            comments: comments.map(c => readComment(c, id)).filter(Boolean)
+        };
+
+        return {
+            id,
+            objectType: 'feedItem',
+            parentId,
+            relationship: 'Chatter',
+            data,
+            meta: {
+                fields: {
+                    author: ExtractorRegistry.describeField({ key: 'author' }, { raw: author, strategy: author ? 'chatterFeed' : 'none' }, author),
+                    timestamp: ExtractorRegistry.describeField({ key: 'timestamp', type: 'datetime' }, { raw: timestamp.raw, strategy: timestamp.raw ? 'chatterFeed' : 'none' }, timestamp.value)
+                }
+            },
+            sourceUrl: context.url,
+            lastUpdated: Date.now()
+        };
+    }
+
+    /**
+     * Whether an element is, or holds, part of the feed
+     * The generic related list reader leaves feed posts to readFeed
+     */
+    function isFeedCard(el) {
+        return el.closest(ITEM_SELECTOR) !== null || el.querySelector(ITEM_SELECTOR) !== null;
+    }
+
+    /**
+     * Load and read up to maxItems feed posts of the record page
+     */
+    async function readFeed(parentId, context) {
+        if (maxItems === 0 || getFeedItems(context.root).length === 0) return [];
+
+        const records = [];
+        try {
+            await loadItems(context.root);
+            getFeedItems(context.root).slice(0, maxItems).forEach(item => {
+                const record = readItem(item, parentId, context);
+                if (record && !records.some(r => r.id === record.id)) records.push(record);
+            });
+        } catch (err) {
+            log('Error reading Chatter feed:', err.message);
+        }
+
+        log(`Found ${records.length} feed items`);
+        return records;
+    }
+
+    // Expose to global scope
+    window.ChatterFeed = {
+        configure,
+        isFeedCard,
+        readFeed
+    };
+})();
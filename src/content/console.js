@@ -0,0 +1,108 @@
+/**
+ * Console Workspace Tabs
+ * In Sales/Service Console apps several records are open as workspace tabs
+ * and subtabs of one page. This module finds the tab panels, their record
+ * URLs and which one is focused, so extraction can be limited to that subtree.
+ */
+
+(function () {
+    const DEBUG = true;
+
+    // Tab set containers that only exist in console navigation apps
+    const CONSOLE_SELECTOR = '.navexConsoleTabset, .oneConsoleTabset, one-workspace-tabset';
+
+    function log(...args) {
+        if (DEBUG) console.log('[Console]', ...args);
+    }
+
+    function isConsole() {
+        return document.querySelector(CONSOLE_SELECTOR) !== null;
+    }
+
+    /**
+     * Get the tab header element that controls a panel
+     */
+    function getTabForPanel(panel) {
+        if (panel.id) {
+            const tab = document.querySelector(`[role="tab"][aria-controls="${CSS.escape(panel.id)}"]`);
+            if (tab) return tab;
+        }
+        const labelledBy = panel.getAttribute('aria-labelledby');
+        return labelledBy ? document.getElementById(labelledBy) : null;
+    }
+
+    function isPanelActive(panel) {
+        const tab = getTabForPanel(panel);
+        if (tab) return tab.getAttribute('aria-selected') === 'true';
+        return panel.classList.contains('active') && !panel.hidden;
+    }
+
+    /**
+     * Record URL of a panel, taken from its tab header link
+     */
+    function getRecordUrl(panel) {
+        const tab = getTabForPanel(panel);
+        const link = tab && (tab.matches('a[href]') ? tab : tab.querySelector('a[href]'));
+        const href = link?.getAttribute('href');
+        if (!href) return null;
+
+        const url = new URL(href, window.location.href).href;
+        return ExtractorRegistry.detectObjectType(url) ? url : null;
+    }
+
+    /**
+     * List record tabs as { root, url, title, active }
+     * Workspace panels that hold subtabs are skipped in favour of their subtabs,
+     * so each open record appears once.
+     */
+    function getOpenTabs() {
+        const panelSelector = CONSOLE_SELECTOR.split(',').map(s => `${s.trim()} [role="tabpanel"]`).join(', ');
+        const panels = Array.from(document.querySelectorAll(panelSelector));
+        const recordPanels = panels.filter(p => getRecordUrl(p));
+
+        const tabs = recordPanels
+            .filter(panel => !recordPanels.some(other => other !== panel && panel.contains(other)))
+            .map(panel => {
+                // A subtab is only on screen when its workspace tab is too
+                let active = true;
+                for (let el = panel; el; el = el.parentElement?.closest('[role="tabpanel"]')) {
+                    if (!isPanelActive(el)) {
+                        active = false;
+                        break;
+                    }
+                }
+                return {
+                    root: panel,
+                    url: getRecordUrl(panel),
+                    title: getTabForPanel(panel)?.getAttribute('title') || null,
+                    active
+                };
+            });
+
+        // The same record can be open twice; keep one entry, preferring the one on screen
+        const byUrl = new Map();
+        tabs.forEach(tab => {
+            const existing = byUrl.get(tab.url);
+            if (!existing || (tab.active && !existing.active)) {
+                byUrl.set(tab.url, tab);
+            }
+        });
+        return Array.from(byUrl.values());
+    }
+
+    /**
+     * The record tab or subtab currently on screen, or null
+     */
+    function getFocusedTab() {
+        const tab = getOpenTabs().find(t => t.active) || null;
+        log('Focused tab:', tab ? tab.url : '(none)');
+        return tab;
+    }
+
+    // Expose to global scope
+    window.ConsoleWorkspace = {
+        isConsole,
+        getOpenTabs,
+        getFocusedTab
+    };
+})();
@@ -4,12 +4,13 @@
  * Orchestrates extraction from Salesforce record pages
  */
 
-// The extractors are loaded BEFORE this script via manifest content_scripts:
-// - opportunity.js provides: extractRecordDetail()
-// - lead.js provides: extractLeadRecordDetail()
-// - contact.js provides: extractContactRecordDetail()
-// - account.js provides: extractAccountRecordDetail()
-// - task.js provides: extractTaskRecordDetail()
+// The framework and extractors are loaded BEFORE this script via manifest content_scripts:
+// - locale-parser.js provides: LocaleParser
+// - extractor-framework.js provides: ExtractorRegistry
+// - extractors/*.js register their object definitions with ExtractorRegistry
+// - list-view.js provides: ListViewExtractor
+// - report.js provides: ReportExtractor
+// - console.js provides: ConsoleWorkspace
 
 /**
  * Shadow DOM Indicator - Shows extraction status on the page
@@ -144,61 +145,193 @@ const StatusIndicator = (function () {
 /**
  * Detect the current Salesforce object type from URL
  */
-function detectObjectType() {
-    const url = window.location.href;
+function detectObjectType(url = window.location.href) {
+    return ExtractorRegistry.detectObjectType(url);
+}
 
-    if (url.includes('/lightning/r/Opportunity/')) {
-        return 'opportunity';
-    }
-    if (url.includes('/lightning/r/Lead/')) {
-        return 'lead';
-    }
-    if (url.includes('/lightning/r/Contact/')) {
-        return 'contact';
-    }
-    if (url.includes('/lightning/r/Account/')) {
-        return 'account';
-    }
-    if (url.includes('/lightning/r/Task/')) {
-        return 'task';
+/**
+ * Scope of the record on screen: the focused console tab, else the whole page
+ * Returns extraction options ({ root, url }) for ExtractorRegistry.extract
+ */
+function getRecordScope() {
+    const consoleTab = ConsoleWorkspace.isConsole() ? ConsoleWorkspace.getFocusedTab() : null;
+    return consoleTab ? { root: consoleTab.root, url: consoleTab.url } : {};
+}
+
+/**
+ * Run bulk extraction of a list view
+ * Progress is shown on the page and reported to the service worker,
+ * which treats it as a keep-alive for the extraction timeout
+ */
+async function runListViewExtraction(requestId) {
+    console.log('[Content] Running list view extraction for requestId:', requestId);
+    StatusIndicator.show('Loading rows...', 'extracting');
+
+    try {
+        const records = await ListViewExtractor.extract((loaded, total) => {
+            StatusIndicator.show(`Loaded ${loaded}/${total ?? '?'} rows`, 'extracting');
+            chrome.runtime.sendMessage({
+                type: 'EXTRACTION_PROGRESS',
+                requestId: requestId,
+                progress: { loaded, total }
+            });
+        });
+
+        if (records.length === 0) {
+            throw new Error('No rows found in list view');
+        }
+
+        StatusIndicator.show(`Success! ${records.length} rows extracted`, 'success');
+        StatusIndicator.hide(2500);
+
+        chrome.runtime.sendMessage({
+            type: 'EXTRACTION_RESULT',
+            requestId: requestId,
+            payload: {
+                records: records,
+                relatedRecords: []
+            }
+        });
+
+    } catch (err) {
+        console.error('[Content] List view extraction failed:', err);
+
+        StatusIndicator.show('Error: ' + err.message, 'error');
+        StatusIndicator.hide(3500);
+
+        chrome.runtime.sendMessage({
+            type: 'EXTRACTION_ERROR',
+            requestId: requestId,
+            error: {
+                message: err.message,
+                code: err.code,
+                stack: err.stack
+            }
+        });
     }
+}
+
+/**
+ * Extract the record of every open console workspace tab in one run
+ * Tabs that fail are skipped; each finished tab is reported as progress
+ */
+async function runConsoleTabsExtraction(requestId, options = {}) {
+    console.log('[Content] Running console tabs extraction for requestId:', requestId);
+
+    const tabs = ConsoleWorkspace.getOpenTabs();
+    const records = [];
+    const relatedRecords = [];
 
-    return null;
+    try {
+        for (const [index, tab] of tabs.entries()) {
+            StatusIndicator.show(`Extracting tab ${index + 1}/${tabs.length}...`, 'extracting');
+            try {
+                const objectType = detectObjectType(tab.url);
+                const result = await ExtractorRegistry.extract(objectType, {
+                    root: tab.root,
+                    url: tab.url,
+                    allFields: options.allFields
+                });
+                records.push(result.record);
+                relatedRecords.push(...(result.relatedRecords || []));
+            } catch (err) {
+                console.warn('[Content] Skipping console tab', tab.url, err.message);
+            }
+
+            chrome.runtime.sendMessage({
+                type: 'EXTRACTION_PROGRESS',
+                requestId: requestId,
+                progress: { loaded: index + 1, total: tabs.length }
+            });
+        }
+
+        if (records.length === 0) {
+            throw new Error('No records found in open console tabs');
+        }
+
+        StatusIndicator.show(`Success! ${records.length} tabs extracted`, 'success');
+        StatusIndicator.hide(2500);
+
+        chrome.runtime.sendMessage({
+            type: 'EXTRACTION_RESULT',
+            requestId: requestId,
+            payload: {
+                records: records,
+                relatedRecords: relatedRecords,
+                source: 'consoleTabs'
+            }
+        });
+
+    } catch (err) {
+        console.error('[Content] Console tabs extraction failed:', err);
+
+        StatusIndicator.show('Error: ' + err.message, 'error');
+        StatusIndicator.hide(3500);
+
+        chrome.runtime.sendMessage({
+            type: 'EXTRACTION_ERROR',
+            requestId: requestId,
+            error: {
+                message: err.message,
+                code: err.code,
+                stack: err.stack
+            }
+        });
+    }
 }
 
 /**
  * Run extraction based on detected object type
+ * options.allConsoleTabs extracts every open console tab instead of the focused one
+ * options.locale overrides the locale detected from the page
+ * options.readyTimeoutMs limits the wait for the record to render
+ * options.allFields also captures every other label/value pair into data.extraFields
+ * options.feedItemLimit is how many Chatter posts to load (0 skips the feed)
  */
-async function runExtraction(requestId) {
+async function runExtraction(requestId, options = {}) {
+    LocaleParser.setLocale(options.locale);
+    PageReadiness.configure({ timeoutMs: options.readyTimeoutMs });
+    ChatterFeed.configure({
+        maxItems: options.feedItemLimit,
+        onProgress: (loaded, total) => {
+            StatusIndicator.show(`Loading feed ${loaded}/${total}...`, 'extracting');
+            chrome.runtime.sendMessage({
+                type: 'EXTRACTION_PROGRESS',
+                requestId: requestId,
+                progress: { loaded, total }
+            });
+        }
+    });
+
+    if (options.allConsoleTabs && ConsoleWorkspace.isConsole()) {
+        return runConsoleTabsExtraction(requestId, options);
+    }
+
+    // In console apps the focused workspace tab decides the record, not the URL
+    const scope = getRecordScope();
+
+    if (!scope.root && ListViewExtractor.isListView()) {
+        return runListViewExtraction(requestId);
+    }
+
     console.log('[Content] Running extraction for requestId:', requestId);
 
     // Show extracting indicator
     StatusIndicator.show('Extracting...', 'extracting');
 
-    const objectType = detectObjectType();
+    // Report pages match the generic record URL, so they are checked first
+    const isReport = !scope.root && ReportExtractor.isReportPage();
+    const objectType = isReport ? 'reportSnapshot' : detectObjectType(scope.url);
     console.log('[Content] Detected object type:', objectType);
 
     try {
-        const result = await (async () => {
-            if (objectType === 'opportunity') {
-                if (typeof extractRecordDetail !== 'function') throw new Error('Opportunity extractor not available');
-                return await extractRecordDetail();
-            } else if (objectType === 'lead') {
-                if (typeof extractLeadRecordDetail !== 'function') throw new Error('Lead extractor not available');
-                return await extractLeadRecordDetail();
-            } else if (objectType === 'contact') {
-                if (typeof extractContactRecordDetail !== 'function') throw new Error('Contact extractor not available');
-                return await extractContactRecordDetail();
-            } else if (objectType === 'account') {
-                if (typeof extractAccountRecordDetail !== 'function') throw new Error('Account extractor not available');
-                return await extractAccountRecordDetail();
-            } else if (objectType === 'task') {
-                if (typeof extractTaskRecordDetail !== 'function') throw new Error('Task extractor not available');
-                return await extractTaskRecordDetail();
-            } else {
-                throw new Error('Unsupported page');
-            }
-        })();
+        if (!objectType) {
+            throw new Error('Unsupported page');
+        }
+
+        const result = isReport
+            ? await ReportExtractor.extract()
+            : await ExtractorRegistry.extract(objectType, { ...scope, allFields: options.allFields });
 
         const { record, relatedRecords } = result;
 
@@ -208,7 +341,7 @@ async function runExtraction(requestId) {
         }
 
         // Show success indicator
-        StatusIndicator.show('Success! Record extracted', 'success');
+        StatusIndicator.show(isReport ? 'Success! Report snapshot saved' : 'Success! Record extracted', 'success');
         StatusIndicator.hide(2500);
 
         chrome.runtime.sendMessage({
@@ -232,6 +365,7 @@ async function runExtraction(requestId) {
             requestId: requestId,
             error: {
                 message: err.message,
+                code: err.code,
                 stack: err.stack
             }
         });
@@ -253,7 +387,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'RUN_EXTRACTION':
             console.log('[Content] Starting extraction for requestId:', message.requestId);
             sendResponse({ status: 'started' });
-            runExtraction(message.requestId);
+            runExtraction(message.requestId, message.options);
             return true;
 
         default:
@@ -268,23 +402,21 @@ window.runExtractionForDebug = async function () {
     StatusIndicator.show('Extracting...', 'extracting');
 
     try {
-        const objectType = detectObjectType();
-        let result;
-
-        if (objectType === 'opportunity' && typeof extractRecordDetail === 'function') {
-            result = await extractRecordDetail();
-        } else if (objectType === 'lead' && typeof extractLeadRecordDetail === 'function') {
-            result = await extractLeadRecordDetail();
-        } else if (objectType === 'contact' && typeof extractContactRecordDetail === 'function') {
-            result = await extractContactRecordDetail();
-        } else if (objectType === 'account' && typeof extractAccountRecordDetail === 'function') {
-            result = await extractAccountRecordDetail();
-        } else if (objectType === 'task' && typeof extractTaskRecordDetail === 'function') {
-            result = await extractTaskRecordDetail();
-        } else {
+        if (ReportExtractor.isReportPage()) {
+            const result = await ReportExtractor.extract();
+            StatusIndicator.show('Success!', 'success');
+            StatusIndicator.hide(2500);
+            return result;
+        }
+
+        const scope = getRecordScope();
+        const objectType = detectObjectType(scope.url);
+        if (!objectType) {
             throw new Error('No extractor available for this page');
         }
 
+        const result = await ExtractorRegistry.extract(objectType, scope);
+
         StatusIndicator.show('Success!', 'success');
         StatusIndicator.hide(2500);
         return result;
@@ -306,6 +438,7 @@ const DOMChangeDetector = (function () {
     function checkUrlChange() {
         const currentUrl = window.location.href;
         if (currentUrl !== lastUrl) {
+            PageReadiness.noteNavigation(lastUrl, currentUrl);
             lastUrl = currentUrl;
             const objectType = detectObjectType();
             if (objectType) {
@@ -341,6 +474,6 @@ const DOMChangeDetector = (function () {
 DOMChangeDetector.init();
 
 console.log('[Content] SF CRM Extractor content script initialized');
-console.log('[Content] Supports: Opportunity, Lead, Contact, Account, Task');
+console.log('[Content] Supports:', ExtractorRegistry.list().map(d => d.label).join(', '));
 console.log('[Content] Use window.runExtractionForDebug() for manual testing');
 
@@ -0,0 +1,855 @@
+/**
+ * Declarative Extractor Framework
+ * Shared page parsing helpers and a registry of per-object field specs.
+ * Field values come from RecordLayoutParser (layout-parser.js) first.
+ * Dates and numbers are parsed in the user's locale by LocaleParser (locale-parser.js),
+ * compound addresses by AddressParser (address-parser.js).
+ * Lightning (/lightning/r/...) and Classic (/<recordId>) record pages are supported.
+ * Object extractors call ExtractorRegistry.register() with a definition;
+ * content-main.js dispatches through ExtractorRegistry.extract().
+ */
+
+(function () {
+    const DEBUG = true;
+
+    // Header buttons that can follow the object label instead of the record name
+    const HEADER_ACTIONS = [
+        'Follow', 'Following', 'New Case', 'New Note', 'Clone', 'Edit', 'Delete',
+        'Submit for Approval'
+    ];
+
+    // Datatable columns that hold row controls, not field values
+    const UTILITY_COLUMNS = /^(row number|item number|select|select all|choose a row|actions?|show actions)$/i;
+
+    // Related list cards on a record page
+    const RELATED_LIST_CARD_SELECTOR = 'article.slds-card, article.forceRelatedListCardDesktop, .bRelatedList';
+
+    // Card titles: Lightning card header, Classic related list block title
+    const RELATED_LIST_TITLE_SELECTOR = '.slds-card__header-title, h2, .pbTitle h3';
+
+    // Links to these objects in a related list row point at owners and creators, not the row's record
+    const NON_ROW_OBJECTS = ['User', 'Group'];
+
+    const definitions = {};
+
+    function createLogger(prefix) {
+        return function log(...args) {
+            if (DEBUG) console.log(prefix, ...args);
+        };
+    }
+
+    const log = createLogger('[Framework]');
+
+    /**
+     * Short stable hash for records without a Salesforce ID link
+     */
+    function hashText(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Parse page text into structured lines
+     * root limits the text to a subtree, e.g. one console workspace tab
+     */
+    function getPageTextLines(root = document) {
+        const pageText = (root === document ? document.body : root).innerText || '';
+        return pageText.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+    }
+
+    /**
+     * Get the record ID of a Classic detail page URL, e.g. https://na1.salesforce.com/006xxxxxxxxxxxx
+     * Edit (/e), list (/o) and other sub-pages are not detail pages and return null
+     */
+    function getClassicRecordId(url = window.location.href) {
+        let path;
+        try {
+            path = new URL(url).pathname;
+        } catch (err) {
+            return null;
+        }
+        const match = path.match(/^\/([a-zA-Z0-9]{15}|[a-zA-Z0-9]{18})\/?$/);
+        return match ? match[1] : null;
+    }
+
+    function isClassicUrl(url = window.location.href) {
+        return !url.includes('/lightning/') && getClassicRecordId(url) !== null;
+    }
+
+    /**
+     * Get Salesforce record ID from URL for the given definition
+     * Classic IDs must start with the definition's key prefix
+     */
+    function getRecordIdFromUrl(definition, url = window.location.href) {
+        const pattern = new RegExp(`/lightning/r/${definition.apiName}/([a-zA-Z0-9]{15,18})/`);
+        const match = url.match(pattern);
+        if (match) return match[1];
+
+        const classicId = isClassicUrl(url) ? getClassicRecordId(url) : null;
+        if (classicId && definition.keyPrefix && classicId.startsWith(definition.keyPrefix)) {
+            return classicId;
+        }
+        return null;
+    }
+
+    /**
+     * CSS selector for links to records of an object, in Lightning and Classic form
+     */
+    function getRecordLinkSelector(apiName) {
+        const selectors = [`a[href*="/lightning/r/${apiName}/"]`];
+        const prefix = getByApiName(apiName)?.keyPrefix;
+        if (prefix) selectors.push(`a[href^="/${prefix}"]`);
+        return selectors.join(', ');
+    }
+
+    /**
+     * Get the record ID from a record link href, in Lightning or Classic form
+     */
+    function getRecordIdFromHref(href, apiName) {
+        const lightning = (href || '').match(new RegExp(`/lightning/r/${apiName}/([a-zA-Z0-9]{15,18})`));
+        if (lightning) return lightning[1];
+
+        const prefix = getByApiName(apiName)?.keyPrefix;
+        const classicId = getClassicRecordId(new URL(href || '', window.location.href).href);
+        return prefix && classicId?.startsWith(prefix) ? classicId : null;
+    }
+
+    /**
+     * ID of the record a lookup value links to, or null
+     * Reads a data-recordid attribute or the first record link in (or of) the element;
+     * Classic links carry no API name, so any ID-shaped path of the org counts
+     */
+    function readLookupId(el) {
+        if (!el) return null;
+
+        const marked = (el.closest('[data-recordid]') || el.querySelector('[data-recordid]'))?.getAttribute('data-recordid');
+        if (/^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(marked || '')) return marked;
+
+        const links = el.matches('a[href]') ? [el] : el.querySelectorAll('a[href]');
+        for (const link of links) {
+            const href = link.getAttribute('href');
+            if (/^(#|javascript:|mailto:|tel:)/i.test(href)) continue;
+
+            const lightning = href.match(/\/lightning\/r\/(?:[A-Za-z0-9_]+\/)?([a-zA-Z0-9]{15,18})(?:[/?#]|$)/);
+            if (lightning) return lightning[1];
+
+            const url = new URL(href, window.location.href);
+            const classicId = url.origin === window.location.origin ? getClassicRecordId(url.href) : null;
+            if (classicId) return classicId;
+        }
+        return null;
+    }
+
+    /**
+     * Find field value by label using text parsing
+     * Supports partial label matching for labels like "Phone (2)"
+     */
+    function findValueByLabel(lines, labelText, stopLabels = [], partialMatch = false) {
+        const normalizedLabel = labelText.trim().toLowerCase();
+        const stop = stopLabels.map(l => l.toLowerCase());
+
+        for (let i = 0; i < lines.length; i++) {
+            const lineLC = lines[i].toLowerCase();
+            const matches = partialMatch
+                ? lineLC.startsWith(normalizedLabel)
+                : lineLC === normalizedLabel;
+
+            if (matches && lines[i + 1]) {
+                const value = lines[i + 1];
+                if (!stop.includes(value.toLowerCase())) {
+                    return value;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a field label to a data key: "Invoice Number" -> "invoiceNumber"
+     */
+    function toFieldKey(label) {
+        const words = (label || '')
+            .replace(/\(.*?\)/g, ' ')
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(w => w.length > 0);
+        if (words.length === 0) return null;
+
+        const key = words
+            .map((w, i) => i === 0 ? w.toLowerCase() : w.charAt(0).toUpperCase() + w.slice(1).toLowerCase())
+            .join('');
+        return /^[0-9]/.test(key) ? `field${key}` : key;
+    }
+
+    // Type coercions applied to the raw text of a field
+    // Dates that cannot be parsed keep their raw text rather than being lost
+    const coercers = {
+        text: raw => raw,
+        number: raw => LocaleParser.parseNumber(raw),
+        currency: raw => LocaleParser.parseNumber(raw),
+        date: raw => LocaleParser.parseDate(raw) || raw,
+        datetime: raw => LocaleParser.parseDateTime(raw) || raw,
+        address: raw => AddressParser.parseAddress(raw),
+        // Checkboxes read as "true"/"false" (Classic: "Checked"/"Not Checked")
+        boolean: raw => raw ? /^(true|checked|yes|1)$/i.test(raw.trim()) : null
+    };
+
+    /**
+     * Apply a field spec's type coercion to raw text
+     */
+    function coerceValue(spec, raw) {
+        const coerce = coercers[spec.type || 'text'];
+        const value = coerce(raw);
+        return value === undefined || value === '' ? null : value;
+    }
+
+    /**
+     * Coerce a field into the data keys it fills
+     * Currency fields also keep their ISO code and, in multi-currency orgs,
+     * the corporate-currency amount Salesforce shows in parentheses:
+     * { amount, amountCurrency, amountConverted, amountConvertedCurrency }
+     */
+    function coerceField(spec, raw) {
+        if (spec.type !== 'currency') {
+            return { [spec.key]: coerceValue(spec, raw) };
+        }
+
+        const parsed = LocaleParser.parseCurrency(raw);
+        return {
+            [spec.key]: parsed.amount,
+            [`${spec.key}Currency`]: parsed.currency,
+            [`${spec.key}Converted`]: parsed.convertedAmount,
+            [`${spec.key}ConvertedCurrency`]: parsed.convertedCurrency
+        };
+    }
+
+    // Base confidence of each way a value can be found
+    const STRATEGY_CONFIDENCE = {
+        layout: 0.95,       // label/value pair of the record layout DOM
+        primaryField: 0.9,  // highlights panel primaryField slot
+        classicTitle: 0.9,  // Classic page title
+        listView: 0.9,      // list view column under a matching header
+        relatedList: 0.85,  // related list column on the parent record's page
+        activityTimeline: 0.85, // activity timeline item on the parent record's page
+        chatterFeed: 0.85,  // Chatter post on the parent record's page
+        fallback: 0.6,      // extractor-specific fallback function
+        headerText: 0.6,    // text line after the object label
+        textScan: 0.5,      // text line after the field label
+        none: 0
+    };
+
+    /**
+     * Whether a coerced value has the shape its type promises
+     */
+    function isWellTyped(spec, value) {
+        switch (spec.type) {
+            case 'number':
+            case 'currency':
+                return typeof value === 'number';
+            case 'date':
+            case 'datetime':
+                return /^\d{4}-\d{2}-\d{2}/.test(value || '');
+            case 'address':
+                return Boolean(value && (value.city || value.postalCode || value.country));
+            case 'boolean':
+                return typeof value === 'boolean';
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Provenance of one field: { strategy, raw, confidence }
+     * found = { raw, strategy, viaFallback, partial } as returned by resolveRawValue;
+     * labels other than spec.label, partial label matches and raw text that
+     * could not be parsed into the field's type lower the confidence.
+     */
+    function describeField(spec, found, value) {
+        let confidence = STRATEGY_CONFIDENCE[found.strategy] ?? STRATEGY_CONFIDENCE.fallback;
+        if (found.viaFallback) confidence *= 0.9;
+        if (found.partial) confidence *= 0.9;
+        if (found.raw && !isWellTyped(spec, value)) confidence *= 0.5;
+
+        return {
+            strategy: found.strategy,
+            raw: found.raw ?? null,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    }
+
+    /**
+     * Every label/value pair as { normalizedLabel: rawText }
+     * The detail layout is read before the highlights panel, so its value wins
+     * when a label appears in both.
+     */
+    function collectExtraFields(pairs) {
+        const extraFields = {};
+        pairs.forEach(pair => {
+            const key = toFieldKey(pair.label);
+            if (key && !(key in extraFields)) {
+                extraFields[key] = pair.value;
+            }
+        });
+        return extraFields;
+    }
+
+    /**
+     * Get the record name from the header as { raw, strategy }
+     * Strategy 1: the line after the object label (headerText)
+     * Strategy 2: the primaryField slot (primaryField)
+     * Strategy 3: the Classic page title (classicTitle)
+     */
+    function getRecordName(context) {
+        const { definition, lines } = context;
+        const skip = [...HEADER_ACTIONS, ...(definition.headerActions || [])];
+
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i] === definition.label) {
+                const nextLine = lines[i + 1];
+                if (nextLine && nextLine !== definition.label && !skip.includes(nextLine)) {
+                    context.log(`Name from text (after ${definition.label}):`, nextLine);
+                    return { raw: nextLine, strategy: 'headerText' };
+                }
+            }
+        }
+
+        const primaryField = context.root.querySelector('lightning-formatted-text[slot="primaryField"]');
+        if (primaryField) {
+            const text = primaryField.textContent?.trim();
+            if (text) {
+                context.log('Name from primaryField:', text);
+                return { raw: text, strategy: 'primaryField' };
+            }
+        }
+
+        // Classic page title: <h1 class="pageType">Opportunity</h1><h2 class="pageDescription">Name</h2>
+        const classicTitle = context.root.querySelector('.bPageTitle h2.pageDescription');
+        if (classicTitle) {
+            const text = classicTitle.textContent?.trim();
+            if (text) {
+                context.log('Name from Classic page title:', text);
+                return { raw: text, strategy: 'classicTitle' };
+            }
+        }
+
+        context.log('Name NOT FOUND');
+        return { raw: null, strategy: 'none' };
+    }
+
+    /**
+     * Resolve the raw text of one field spec as { raw, strategy, viaFallback, partial, element }
+     * Tries the record header (source: 'recordName'), then spec.label,
+     * then each entry of spec.fallbacks in order.
+     * A fallback is either another label or a function(context) returning text.
+     * Labels are read from the record layout DOM; the text-line scan is used
+     * only when the label is not part of any layout item on the page.
+     */
+    function resolveRawValue(spec, context) {
+        if (spec.source === 'recordName') {
+            const name = getRecordName(context);
+            if (name.raw) return name;
+        }
+
+        const attempts = [spec.label, ...(spec.fallbacks || [])].filter(Boolean);
+        for (const [index, attempt] of attempts.entries()) {
+            const viaFallback = index > 0;
+
+            if (typeof attempt === 'function') {
+                const value = attempt(context);
+                if (value) {
+                    context.log(`Found "${spec.key}" via fallback:`, value);
+                    return { raw: value, strategy: 'fallback', viaFallback };
+                }
+                continue;
+            }
+
+            const pair = RecordLayoutParser.findPair(context.layoutPairs, attempt, spec.partial);
+            if (pair) {
+                if (pair.value) {
+                    context.log(`Found "${spec.key}" via layout "${pair.label}":`, pair.value);
+                    return {
+                        // Compound addresses keep their line breaks for the address parser
+                        raw: spec.type === 'address' ? pair.lines.join('\n') : pair.value,
+                        strategy: 'layout',
+                        viaFallback,
+                        partial: pair.label.toLowerCase() !== attempt.toLowerCase(),
+                        // Lookup IDs are read from the value's links
+                        element: pair.valueElement
+                    };
+                }
+                // Label is on the layout but the field is empty
+                continue;
+            }
+
+            const value = findValueByLabel(context.lines, attempt, context.stopLabels, spec.partial);
+            if (value) {
+                context.log(`Found "${spec.key}" via text "${attempt}":`, value);
+                return { raw: value, strategy: 'textScan', viaFallback, partial: Boolean(spec.partial) };
+            }
+        }
+
+        context.log(`"${spec.key}" NOT FOUND`);
+        return { raw: null, strategy: 'none' };
+    }
+
+    /**
+     * Title of a related list card without its row count: "Contact Roles (3)" -> "Contact Roles"
+     */
+    function getRelatedListTitle(card) {
+        const header = card.querySelector(RELATED_LIST_TITLE_SELECTOR);
+        return (header?.textContent || '').replace(/\s+/g, ' ').replace(/\s*\(\d+\+?\)\s*$/, '').trim();
+    }
+
+    /**
+     * Find a related list card by its title, e.g. "Case Comments (3)"
+     */
+    function findRelatedListCard(title, root = document) {
+        const cards = root.querySelectorAll(RELATED_LIST_CARD_SELECTOR);
+        for (const card of cards) {
+            const header = card.querySelector(RELATED_LIST_TITLE_SELECTOR);
+            const text = header?.textContent?.trim() || '';
+            if (text.toLowerCase().startsWith(title.toLowerCase())) {
+                return card;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read rows of a related list card as { element, values, cells }: values maps
+     * labels to text, cells maps them to the value elements (for lookup links)
+     * Handles table rows (thead/tbody, or Classic headerRow/dataRow) and tile items (dt/dd pairs)
+     */
+    function readRelatedListRows(card) {
+        const rows = [];
+
+        const isClassic = card.querySelector('thead th') === null && card.querySelector('tr.headerRow') !== null;
+        const headerCells = card.querySelectorAll(isClassic ? 'tr.headerRow th' : 'thead th');
+        const headers = Array.from(headerCells).map(th =>
+            (th.getAttribute('title') || th.textContent || '').trim()
+        );
+        card.querySelectorAll(isClassic ? 'tr.dataRow' : 'tbody tr').forEach(tr => {
+            const cells = Array.from(tr.querySelectorAll('th, td'));
+            const row = { element: tr, values: {}, cells: {} };
+            cells.forEach((cell, i) => {
+                if (!headers[i]) return;
+                row.values[headers[i]] = cell.textContent.trim() || null;
+                row.cells[headers[i]] = cell;
+            });
+            rows.push(row);
+        });
+
+        if (rows.length === 0) {
+            card.querySelectorAll('li, .slds-tile').forEach(item => {
+                const terms = item.querySelectorAll('dt');
+                if (terms.length === 0) return;
+                const row = { element: item, values: {}, cells: {} };
+                terms.forEach(dt => {
+                    const dd = dt.nextElementSibling;
+                    const label = dt.textContent.trim().replace(/:$/, '');
+                    row.values[label] = dd ? dd.textContent.trim() || null : null;
+                    row.cells[label] = dd;
+                });
+                const title = item.querySelector('h3, .slds-tile__title');
+                if (title) row.values.Title = title.textContent.trim();
+                rows.push(row);
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Map a column header to a field spec of the definition
+     * Headers matching no spec get a camelCase key; row-control columns give null
+     */
+    function mapHeaderToSpec(header, definition) {
+        const wanted = header.toLowerCase();
+        if (!wanted || UTILITY_COLUMNS.test(header)) return null;
+
+        if (definition) {
+            for (const spec of definition.fields) {
+                const labels = [spec.label, ...(spec.fallbacks || [])]
+                    .filter(l => typeof l === 'string')
+                    .map(l => l.toLowerCase());
+                if (spec.source === 'recordName') {
+                    labels.push('name', `${definition.label} name`.toLowerCase());
+                }
+                if (labels.includes(wanted)) return spec;
+            }
+        }
+
+        const key = toFieldKey(header);
+        return key ? { key, label: header } : null;
+    }
+
+    /**
+     * Parse a record link into { apiName, objectType, id }
+     * Lightning links carry the API name; Classic links are only recognized
+     * by the key prefix of a registered object
+     */
+    function parseRecordHref(href) {
+        if (!href || /^(#|javascript:)/i.test(href)) return null;
+
+        const lightning = href.match(/\/lightning\/r\/([A-Za-z0-9_]+)\/([a-zA-Z0-9]{15,18})(?:[/?#]|$)/);
+        if (lightning) {
+            const definition = getByApiName(lightning[1]);
+            return {
+                apiName: lightning[1],
+                objectType: definition ? definition.objectType : lightning[1],
+                id: lightning[2]
+            };
+        }
+
+        const classicId = getClassicRecordId(new URL(href, window.location.href).href);
+        const definition = classicId && list().find(d => d.keyPrefix && classicId.startsWith(d.keyPrefix));
+        return definition ? { apiName: definition.apiName, objectType: definition.objectType, id: classicId } : null;
+    }
+
+    /**
+     * Turn one related list row into a related record, or null when the row
+     * has no link to a record of its own
+     */
+    function readRelatedListRecord(row, parentId, relationship, context) {
+        const links = [
+            ...row.element.querySelectorAll('th a[href], h3 a[href], .slds-tile__title a[href]'),
+            ...row.element.querySelectorAll('a[href]')
+        ];
+
+        let ref = null;
+        let link = null;
+        for (const candidate of links) {
+            const parsed = parseRecordHref(candidate.getAttribute('href'));
+            if (parsed && !NON_ROW_OBJECTS.includes(parsed.apiName) && parsed.id.slice(0, 15) !== parentId.slice(0, 15)) {
+                ref = parsed;
+                link = candidate;
+                break;
+            }
+        }
+        if (!ref) return null;
+
+        const definition = get(ref.objectType);
+        const linkText = link.textContent.trim() || null;
+        const data = {};
+        const fields = {};
+
+        Object.entries(row.values).forEach(([header, text]) => {
+            // Tiles report their heading (the record link) as "Title"
+            if (header === 'Title' && text === linkText) return;
+
+            const spec = mapHeaderToSpec(header, definition);
+            if (!spec || spec.key in data) return;
+            Object.assign(data, coerceField(spec, text));
+            if (spec.lookup) data[spec.lookup] = readLookupId(row.cells[header]);
+            fields[spec.key] = describeField(spec, { raw: text, strategy: text ? 'relatedList' : 'none' }, data[spec.key]);
+        });
+
+        // The row link shows the record name
+        const nameKey = definition?.fields.find(s => s.source === 'recordName')?.key || 'name';
+        if (!data[nameKey] && linkText) {
+            data[nameKey] = linkText;
+            fields[nameKey] = describeField({ key: nameKey }, { raw: linkText, strategy: 'relatedList' }, linkText);
+        }
+
+        const record = {
+            id: ref.id,
+            objectType: ref.objectType,
+            parentId,
+            relationship,
+            data,
+            meta: { fields },
+            sourceUrl: context.url,
+            lastUpdated: Date.now()
+        };
+        if (!definition) {
+            record.objectLabel = ref.apiName.replace(/__c$/, '').replace(/_/g, ' ');
+        }
+        return record;
+    }
+
+    /**
+     * Provenance of the data of a related record that a related reader built
+     * itself, like readRelatedListRecord gives its records; raws maps keys to
+     * the text a value was parsed from when it differs from the value
+     */
+    function describeRelatedListFields(data, raws = {}) {
+        const fields = {};
+        Object.entries(data).forEach(([key, value]) => {
+            const raw = raws[key] ?? (typeof value === 'string' ? value : null);
+            fields[key] = describeField({ key }, { raw, strategy: value ? 'relatedList' : 'none' }, value);
+        });
+        return fields;
+    }
+
+    /**
+     * Read every related list card of the record as typed related records
+     * Each record gets parentId and relationship (the card title).
+     * Cards named in definition.handledRelatedLists are left to definition.related.
+     */
+    function readRelatedLists(parentId, context) {
+        const handled = (context.definition.handledRelatedLists || []).map(t => t.toLowerCase());
+        const records = [];
+
+        context.root.querySelectorAll(RELATED_LIST_CARD_SELECTOR).forEach(card => {
+            // Layout sections can wrap whole groups of cards
+            if (card.querySelector(RELATED_LIST_CARD_SELECTOR)) return;
+
+            const relationship = getRelatedListTitle(card);
+            if (!relationship || handled.includes(relationship.toLowerCase())) return;
+            if (ActivityTimeline.isActivityCard(card, relationship) || ChatterFeed.isFeedCard(card)) return;
+
+            readRelatedListRows(card).forEach(row => {
+                const record = readRelatedListRecord(row, parentId, relationship, context);
+                if (record && !records.some(r => r.id === record.id)) {
+                    records.push(record);
+                }
+            });
+        });
+
+        context.log(`Related list records found: ${records.length}`);
+        return records;
+    }
+
+    /**
+     * Register an object type
+     *
+     * definition = {
+     *   objectType: 'opportunity',       // stored record objectType
+     *   apiName: 'Opportunity',          // URL segment in /lightning/r/<apiName>/
+     *   keyPrefix: '006',                // record ID prefix, used for Classic URLs
+     *   label: 'Opportunity',            // header label preceding the record name
+     *   headerActions: [...],            // extra header buttons to skip for the name
+     *   stopLabels: [...],               // labels that are never a field value
+     *   fields: [{ key, label, type, partial, fallbacks, source, lookup, read }],
+     *                                    // type: text | number | currency | date | datetime | address | boolean
+     *                                    // lookup: data key for the linked record's ID, e.g. 'accountId'
+     *                                    // read: function(context) -> { value, raw, strategy } for
+     *                                    // values no single label holds (e.g. Event attendees)
+     *                                    // currency also fills <key>Currency, <key>Converted
+     *                                    // and <key>ConvertedCurrency; address gives
+     *                                    // { street, city, state, postalCode, country, countryCode }
+     *   related: function(recordId, context) -> related records
+     *   handledRelatedLists: [...],      // related list titles read by related() instead of
+     *                                    // the generic related list reader
+     * }
+     *
+     * Objects without a definition fall back to createGenericDefinition().
+     */
+    function register(definition) {
+        definitions[definition.objectType] = definition;
+        log('Registered extractor:', definition.objectType);
+    }
+
+    function get(objectType) {
+        return definitions[objectType] || null;
+    }
+
+    function list() {
+        return Object.values(definitions);
+    }
+
+    function getByApiName(apiName) {
+        return list().find(d => d.apiName === apiName) || null;
+    }
+
+    /**
+     * Get the object API name from any /lightning/r/<ApiName>/<id>/ URL
+     */
+    function getApiNameFromUrl(url = window.location.href) {
+        const match = url.match(/\/lightning\/r\/([A-Za-z0-9_]+)\/[a-zA-Z0-9]{15,18}\//);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Detect the object type for a URL
+     * Registered objects return their objectType; any other record page
+     * (custom __c objects, unregistered standard objects) returns its API name
+     * and is handled by the generic extractor.
+     * Classic URLs carry no API name, so only registered key prefixes are recognized.
+     */
+    function detectObjectType(url = window.location.href) {
+        if (isClassicUrl(url)) {
+            const classicId = getClassicRecordId(url);
+            const byPrefix = list().find(d => d.keyPrefix && classicId.startsWith(d.keyPrefix));
+            return byPrefix ? byPrefix.objectType : null;
+        }
+
+        const definition = list().find(d => url.includes(`/lightning/r/${d.apiName}/`));
+        if (definition) return definition.objectType;
+        return getApiNameFromUrl(url);
+    }
+
+    /**
+     * Get the object label shown in the record header, e.g. "Project" for Project__c
+     */
+    function getObjectLabel(apiName, root = document) {
+        const labelEl = root.querySelector('records-highlights2 [slot="entityLabel"], .entityNameTitle');
+        const text = labelEl?.textContent?.trim();
+        if (text) return text;
+
+        return apiName
+            .replace(/__c$/, '')
+            .replace(/^[A-Za-z0-9]+__/, '')
+            .replace(/_/g, ' ');
+    }
+
+    /**
+     * Build a definition for an object without a registered extractor
+     * It captures the record name plus every label/value pair in the detail panel.
+     */
+    function createGenericDefinition(apiName, root = document) {
+        return {
+            objectType: apiName,
+            apiName,
+            label: getObjectLabel(apiName, root),
+            generic: true,
+            fields: [
+                { key: 'name', source: 'recordName' }
+            ]
+        };
+    }
+
+    /**
+     * Run extraction for a registered object type
+     *
+     * options.root limits parsing to a subtree (a console workspace tab) and
+     * options.url is the record URL of that subtree; both default to the page.
+     * options.allFields stores every label/value pair of the page under
+     * data.extraFields, keyed by toFieldKey(label), next to the declared fields.
+     * Related extractors read context.root instead of document.
+     */
+    async function extract(objectType, options = {}) {
+        const root = options.root || document;
+        const url = options.url || window.location.href;
+
+        let definition = get(objectType);
+        if (!definition && objectType && objectType === getApiNameFromUrl(url)) {
+            definition = createGenericDefinition(objectType, root);
+        }
+        if (!definition) {
+            throw new Error('Unsupported page');
+        }
+
+        const context = {
+            definition,
+            root,
+            url,
+            log: createLogger(`[${definition.label} Extractor]`),
+            stopLabels: [...HEADER_ACTIONS, ...(definition.stopLabels || [])]
+        };
+
+        context.log('========================================');
+        context.log(`Starting ${definition.label} extraction at`, new Date().toISOString());
+        context.log('Record URL:', url);
+        context.log('========================================');
+
+        const id = getRecordIdFromUrl(definition, url);
+        if (!id) {
+            throw new Error(`Could not determine Salesforce ${definition.label} record ID from URL`);
+        }
+        context.log('ID from URL:', id);
+
+        // Rejects with code PAGE_NOT_READY while the previous record is still shown
+        await PageReadiness.waitForRecord(id, { root, log: context.log });
+
+        context.layoutPairs = RecordLayoutParser.readPairs(root);
+        context.lines = getPageTextLines(root);
+        context.log(`Layout pairs found: ${context.layoutPairs.length}`);
+
+        const data = {};
+        const fieldMeta = {};
+        definition.fields.forEach(spec => {
+            if (spec.read) {
+                const found = spec.read(context);
+                data[spec.key] = found.value;
+                fieldMeta[spec.key] = describeField(spec, found, found.value);
+                return;
+            }
+
+            const found = resolveRawValue(spec, context);
+            Object.assign(data, coerceField(spec, found.raw));
+            if (spec.lookup) data[spec.lookup] = readLookupId(found.element);
+            fieldMeta[spec.key] = describeField(spec, found, data[spec.key]);
+        });
+
+        if (options.allFields && !definition.generic) {
+            data.extraFields = collectExtraFields(context.layoutPairs);
+            context.log(`Extra fields captured: ${Object.keys(data.extraFields).length}`);
+        }
+
+        if (definition.generic) {
+            context.layoutPairs.forEach(pair => {
+                const key = toFieldKey(pair.label);
+                if (key && !(key in data)) {
+                    data[key] = pair.value;
+                    fieldMeta[key] = describeField({ key }, { raw: pair.value, strategy: 'layout' }, pair.value);
+                    // Values linking to a record are lookups: keep the ID next to the name
+                    const lookupId = readLookupId(pair.valueElement);
+                    if (lookupId && !(`${key}Id` in data)) data[`${key}Id`] = lookupId;
+                }
+            });
+        }
+
+        const record = {
+            id,
+            objectType: definition.objectType,
+            data,
+            meta: { fields: fieldMeta },
+            sourceUrl: url,
+            lastUpdated: Date.now()
+        };
+
+        if (definition.generic) {
+            record.objectLabel = definition.label;
+        }
+
+        // Records from definition.related win over the generic related list, timeline and feed copies
+        const relatedRecords = definition.related ? definition.related(id, context) : [];
+        const feedItems = await ChatterFeed.readFeed(id, context);
+        [...readRelatedLists(id, context), ...ActivityTimeline.readActivities(id, context), ...feedItems].forEach(record => {
+            if (!relatedRecords.some(r => r.id === record.id)) {
+                relatedRecords.push(record);
+            }
+        });
+
+        context.log('=== EXTRACTED RECORD ===');
+        context.log(JSON.stringify(record, null, 2));
+        context.log(`=== RELATED RECORDS: ${relatedRecords.length} ===`);
+
+        return { record, relatedRecords };
+    }
+
+    // Expose to global scope
+    window.ExtractorRegistry = {
+        register,
+        get,
+        getByApiName,
+        list,
+        detectObjectType,
+        isClassicUrl,
+        getRecordLinkSelector,
+        getRecordIdFromHref,
+        extract,
+        toFieldKey,
+        hashText,
+        coerceValue,
+        coerceField,
+        describeField,
+        findRelatedListCard,
+        readRelatedListRows,
+        describeRelatedListFields,
+        mapHeaderToSpec,
+        parseRecordHref,
+        readLookupId,
+        createLogger,
+        getPageTextLines,
+        findValueByLabel
+    };
+    window.getPageTextLines = getPageTextLines;
+    window.getByLabel = function (labelText) {
+        return findValueByLabel(getPageTextLines(), labelText, HEADER_ACTIONS);
+    };
+})();
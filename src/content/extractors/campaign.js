@@ -0,0 +1,131 @@
+/**
+ * Campaign Record Extractor
+ * Declares Campaign fields for the shared extractor framework
+ * and captures the Campaign Members related list
+ */
+
+(function () {
+    const log = ExtractorRegistry.createLogger('[Campaign Extractor]');
+
+    const MEMBER_TYPES = ['Lead', 'Contact'];
+
+    // Campaign Member record link: Lightning /lightning/r/CampaignMember/<id>, Classic /00v<id>
+    const CAMPAIGN_MEMBER_HREF = /\/lightning\/r\/CampaignMember\/([a-zA-Z0-9]{15,18})|^\/(00v[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?)(?:[/?#]|$)/;
+
+    /**
+     * Extract Campaign Members from the Campaign Members related list
+     * Each member links a Lead or Contact to the campaign through parentId
+     * Lightning and Classic member links are both read
+     */
+    function extractCampaignMembers(parentCampaignId, context) {
+        log('Looking for Campaign Members...');
+        const members = [];
+
+        try {
+            // Only the related list: other Lead/Contact links of the page (timeline,
+            // mentions, lookups) are not members
+            const card = ExtractorRegistry.findRelatedListCard('Campaign Members', context.root);
+            if (!card) {
+                log('No Campaign Members related list');
+                return members;
+            }
+            const rows = ExtractorRegistry.readRelatedListRows(card);
+            const memberLinks = card.querySelectorAll(MEMBER_TYPES.map(ExtractorRegistry.getRecordLinkSelector).join(', '));
+
+            memberLinks.forEach(link => {
+                const href = link.getAttribute('href') || '';
+                const memberType = MEMBER_TYPES.find(apiName => ExtractorRegistry.getRecordIdFromHref(href, apiName));
+                if (!memberType) return;
+
+                const memberRecordId = ExtractorRegistry.getRecordIdFromHref(href, memberType);
+                const memberName = link.textContent?.trim();
+
+                // Skip if no name or already processed
+                if (!memberName || memberName === memberType || members.find(m => m.data.memberId === memberRecordId)) return;
+
+                let status = null;
+                let company = null;
+                let title = null;
+                let campaignMemberId = null;
+
+                // Look in parent row/card for additional fields
+                const parentRow = link.closest('tr, li, [class*="listItem"]');
+                if (parentRow) {
+                    for (const cmLink of parentRow.querySelectorAll('a[href]')) {
+                        const cmMatch = cmLink.getAttribute('href').match(CAMPAIGN_MEMBER_HREF);
+                        if (cmMatch) {
+                            campaignMemberId = cmMatch[1] || cmMatch[2];
+                            break;
+                        }
+                    }
+
+                    const row = rows.find(r => r.element === parentRow);
+                    if (row) {
+                        status = row.values['Status'] || row.values['Member Status'] || null;
+                        company = row.values['Company'] || row.values['Company (Account)'] || null;
+                        title = row.values['Title'] || null;
+                    }
+                }
+
+                const data = {
+                    name: memberName || null,
+                    memberType,
+                    memberId: memberRecordId,
+                    status: status || null,
+                    company: company || null,
+                    title: title || null
+                };
+                const member = {
+                    // A campaign member is unique per campaign and lead/contact
+                    id: campaignMemberId || `${parentCampaignId}_${memberRecordId}`,
+                    objectType: 'campaignMember',
+                    parentId: parentCampaignId,
+                    relationship: 'Campaign Members',
+                    data,
+                    meta: { fields: ExtractorRegistry.describeRelatedListFields(data) },
+                    sourceUrl: context.url,
+                    lastUpdated: Date.now()
+                };
+
+                members.push(member);
+                log(`Found Campaign Member (${memberType}):`, memberName);
+            });
+        } catch (err) {
+            log('Error extracting Campaign Members:', err.message);
+        }
+
+        log(`Found ${members.length} Campaign Members`);
+        return members;
+    }
+
+    ExtractorRegistry.register({
+        objectType: 'campaign',
+        apiName: 'Campaign',
+        keyPrefix: '701',
+        label: 'Campaign',
+        headerActions: ['Add Leads', 'Add Contacts', 'Manage Campaign Members'],
+        stopLabels: [
+            'Campaign Name', 'Type', 'Status', 'Start Date', 'End Date', 'Active',
+            'Budgeted Cost in Campaign', 'Actual Cost in Campaign', 'Expected Revenue in Campaign',
+            'Num Sent in Campaign', 'Leads in Campaign', 'Contacts in Campaign',
+            'Responses in Campaign', 'Campaign Owner', 'Description'
+        ],
+        fields: [
+            { key: 'name', source: 'recordName', label: 'Campaign Name' },
+            { key: 'type', label: 'Type' },
+            { key: 'status', label: 'Status' },
+            { key: 'startDate', label: 'Start Date', type: 'date' },
+            { key: 'endDate', label: 'End Date', type: 'date' },
+            { key: 'budgetedCost', label: 'Budgeted Cost in Campaign', type: 'currency', fallbacks: ['Budgeted Cost'] },
+            { key: 'actualCost', label: 'Actual Cost in Campaign', type: 'currency', fallbacks: ['Actual Cost'] },
+            { key: 'expectedRevenue', label: 'Expected Revenue in Campaign', type: 'currency', fallbacks: ['Expected Revenue'] },
+            { key: 'numberSent', label: 'Num Sent in Campaign', type: 'number', fallbacks: ['Num Sent'] },
+            { key: 'leadCount', label: 'Leads in Campaign', type: 'number' },
+            { key: 'contactCount', label: 'Contacts in Campaign', type: 'number' },
+            { key: 'responseCount', label: 'Responses in Campaign', type: 'number' },
+            { key: 'owner', label: 'Campaign Owner', lookup: 'ownerId' }
+        ],
+        related: extractCampaignMembers,
+        handledRelatedLists: ['Campaign Members']
+    });
+})();
@@ -0,0 +1,168 @@
+/**
+ * Case Record Extractor
+ * Declares Case fields for the shared extractor framework
+ * and captures related Case Comments and Email Messages
+ */
+
+(function () {
+    const log = ExtractorRegistry.createLogger('[Case Extractor]');
+
+    /**
+     * Extract related Case Comments from the Case Comments related list
+     */
+    function extractRelatedCaseComments(parentCaseId, context) {
+        log('Looking for related Case Comments...');
+        const comments = [];
+
+        try {
+            const card = ExtractorRegistry.findRelatedListCard('Case Comments', context.root);
+            if (!card) {
+                log('Case Comments related list not found');
+                return comments;
+            }
+
+            ExtractorRegistry.readRelatedListRows(card).forEach(row => {
+                const values = row.values;
+                const body = values['Comment'] || values['Body'] || values.Title || null;
+                if (!body) return;
+
+                const createdBy = values['Created By'] || values['Author'] || null;
+                const rawDate = values['Created Date'] || values['Date'] || null;
+                const createdDate = ExtractorRegistry.coerceValue({ type: 'datetime' }, rawDate);
+
+                // Comment rows only link to their record when the layout exposes it
+                const link = row.element.querySelector('a[href*="/CaseComment/"]');
+                const idMatch = link?.getAttribute('href')?.match(/\/CaseComment\/([a-zA-Z0-9]{15,18})/);
+                const id = idMatch ? idMatch[1] : `${parentCaseId}_${ExtractorRegistry.hashText(`${rawDate}|${createdBy}|${body}`)}`;
+
+                if (comments.find(c => c.id === id)) return;
+
+                const data = {
+                    commentBody: body,
+                    createdBy,
+                    createdDate,
+                    isPublished: values['Public'] || values['Published'] || null
+                };
+                comments.push({
+                    id,
+                    objectType: 'caseComment',
+                    parentId: parentCaseId,
+                    relationship: 'Case Comments',
+                    data,
+                    meta: { fields: ExtractorRegistry.describeRelatedListFields(data, { createdDate: rawDate }) },
+                    sourceUrl: context.url,
+                    lastUpdated: Date.now()
+                });
+                log('Found related Case Comment by:', createdBy);
+            });
+        } catch (err) {
+            log('Error extracting related Case Comments:', err.message);
+        }
+
+        log(`Found ${comments.length} related Case Comments`);
+        return comments;
+    }
+
+    /**
+     * Extract related Email Messages from the Emails related list / feed
+     */
+    function extractRelatedEmails(parentCaseId, context) {
+        log('Looking for related Email Messages...');
+        const emails = [];
+
+        try {
+            const emailLinks = context.root.querySelectorAll('a[href*="/lightning/r/EmailMessage/"]');
+
+            emailLinks.forEach(link => {
+                const href = link.getAttribute('href') || '';
+                const idMatch = href.match(/\/EmailMessage\/([a-zA-Z0-9]{15,18})/);
+                if (!idMatch) return;
+
+                const emailId = idMatch[1];
+                const subject = link.textContent?.trim();
+
+                // Skip if no subject or already processed
+                if (!subject || emails.find(e => e.id === emailId)) return;
+
+                let fromAddress = null;
+                let toAddress = null;
+                let messageDate = null;
+                let rawDate = null;
+                let status = null;
+
+                // Look in parent row/card for additional fields
+                const parentRow = link.closest('tr, li, [class*="listItem"], [class*="card"]');
+                if (parentRow) {
+                    const rowText = parentRow.innerText || '';
+
+                    const addresses = rowText.match(/[\w.+-]+@[\w.-]+\.\w+/g) || [];
+                    fromAddress = addresses[0] || null;
+                    toAddress = addresses[1] || null;
+
+                    rawDate = LocaleParser.findDate(rowText);
+                    messageDate = ExtractorRegistry.coerceValue({ type: 'datetime' }, rawDate);
+
+                    const statusPatterns = ['Sent', 'Read', 'Replied', 'Forwarded', 'New', 'Draft'];
+                    for (const s of statusPatterns) {
+                        if (new RegExp(`\\b${s}\\b`).test(rowText)) {
+                            status = s;
+                            break;
+                        }
+                    }
+                }
+
+                const data = {
+                    subject,
+                    fromAddress,
+                    toAddress,
+                    messageDate,
+                    status
+                };
+                emails.push({
+                    id: emailId,
+                    objectType: 'emailMessage',
+                    parentId: parentCaseId,
+                    relationship: 'Emails',
+                    data,
+                    meta: { fields: ExtractorRegistry.describeRelatedListFields(data, { messageDate: rawDate }) },
+                    sourceUrl: context.url,
+                    lastUpdated: Date.now()
+                });
+                log('Found related Email Message:', subject);
+            });
+        } catch (err) {
+            log('Error extracting related Email Messages:', err.message);
+        }
+
+        log(`Found ${emails.length} related Email Messages`);
+        return emails;
+    }
+
+    ExtractorRegistry.register({
+        objectType: 'case',
+        apiName: 'Case',
+        keyPrefix: '500',
+        label: 'Case',
+        headerActions: ['Close Case', 'Change Owner', 'Change Record Type', 'Printable View'],
+        stopLabels: [
+            'Case Number', 'Subject', 'Status', 'Priority', 'Case Origin', 'Contact Name',
+            'Account Name', 'Case Owner', 'Description', 'Type', 'Case Reason'
+        ],
+        fields: [
+            { key: 'caseNumber', source: 'recordName', label: 'Case Number' },
+            { key: 'subject', label: 'Subject' },
+            { key: 'status', label: 'Status' },
+            { key: 'priority', label: 'Priority' },
+            { key: 'origin', label: 'Case Origin', fallbacks: ['Origin'] },
+            { key: 'contact', label: 'Contact Name', fallbacks: ['Contact'], lookup: 'contactId' },
+            { key: 'account', label: 'Account Name', fallbacks: ['Account'], lookup: 'accountId' },
+            { key: 'owner', label: 'Case Owner', lookup: 'ownerId' },
+            { key: 'description', label: 'Description' }
+        ],
+        related: (caseId, context) => [
+            ...extractRelatedCaseComments(caseId, context),
+            ...extractRelatedEmails(caseId, context)
+        ],
+        handledRelatedLists: ['Case Comments', 'Emails']
+    });
+})();
@@ -0,0 +1,143 @@
+/**
+ * Event Record Extractor
+ * Declares Event (calendar meeting) fields for the shared extractor framework.
+ * Start and end are kept as shown, in the user's time zone (stored as timeZone);
+ * attendees come from the Attendees/Invitees list or the response groups
+ * ("Accepted (2)", "Not Responded (1)") of the event page.
+ */
+
+(function () {
+    const log = ExtractorRegistry.createLogger('[Event Extractor]');
+
+    // Related lists that list the invitees of an event
+    const ATTENDEE_LISTS = ['Attendees', 'Invitees'];
+
+    // Response labels shown by Salesforce, mapped to the stored status
+    const RESPONSE_STATUSES = {
+        accepted: 'Accepted',
+        declined: 'Declined',
+        maybe: 'Maybe',
+        tentative: 'Maybe',
+        'not responded': 'Not Responded',
+        'no response': 'Not Responded',
+        new: 'Not Responded',
+        invited: 'Not Responded',
+        pending: 'Not Responded'
+    };
+
+    // Group headings such as "Accepted (2)" or "Not Responded"
+    const STATUS_HEADING = /^(accepted|declined|maybe|tentative|not responded|no response|invited|pending)\s*(?:\(\d+\))?$/i;
+
+    function cleanText(el) {
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() || null : null;
+    }
+
+    function toStatus(text) {
+        return RESPONSE_STATUSES[(text || '').trim().toLowerCase()] || (text ? text.trim() : 'Not Responded');
+    }
+
+    /**
+     * Attendees of an Attendees/Invitees related list: one row per invitee
+     * with a Response (Classic) or Status column
+     */
+    function readAttendeeRows(card) {
+        return ExtractorRegistry.readRelatedListRows(card).map(row => {
+            const values = row.values;
+            const nameHeader = ['Name', 'Attendee', 'Invitee', 'Title'].find(h => values[h]);
+            const name = nameHeader ? values[nameHeader] : cleanText(row.element.querySelector('a[href]'));
+            if (!name) return null;
+
+            return {
+                name,
+                id: ExtractorRegistry.readLookupId(nameHeader ? row.cells[nameHeader] : row.element),
+                status: toStatus(values.Response || values.Status || values['Response Status'])
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Attendees listed under response group headings
+     */
+    function readAttendeeGroups(root) {
+        const attendees = [];
+        root.querySelectorAll('h2, h3, h4, dt, .slds-text-title, .slds-section__title').forEach(heading => {
+            const match = (cleanText(heading) || '').match(STATUS_HEADING);
+            const list = match ? heading.nextElementSibling : null;
+            if (!list) return;
+
+            const items = list.querySelectorAll('li').length > 0
+                ? list.querySelectorAll('li')
+                : list.querySelectorAll('a[href]');
+            items.forEach(item => {
+                const name = cleanText(item);
+                if (name) attendees.push({ name, id: ExtractorRegistry.readLookupId(item), status: toStatus(match[1]) });
+            });
+        });
+        return attendees;
+    }
+
+    /**
+     * Read the attendees of the event with their response status
+     */
+    function readAttendees(context) {
+        let attendees = [];
+        let strategy = 'none';
+
+        for (const title of ATTENDEE_LISTS) {
+            const card = ExtractorRegistry.findRelatedListCard(title, context.root);
+            if (!card) continue;
+            attendees = readAttendeeRows(card);
+            strategy = 'relatedList';
+            break;
+        }
+        if (attendees.length === 0) {
+            attendees = readAttendeeGroups(context.root);
+            strategy = attendees.length > 0 ? 'layout' : strategy;
+        }
+
+        // An invitee listed twice keeps the first status
+        const unique = attendees.filter((a, i) => attendees.findIndex(b => b.name === a.name) === i);
+        log(`Attendees found: ${unique.length}`);
+        return {
+            value: unique,
+            raw: unique.map(a => `${a.name} (${a.status})`).join('; ') || null,
+            strategy: unique.length > 0 ? strategy : 'none'
+        };
+    }
+
+    /**
+     * Time zone the start and end are shown in
+     */
+    function readTimeZone() {
+        const timeZone = LocaleParser.getTimeZone();
+        return { value: timeZone, raw: timeZone, strategy: 'fallback' };
+    }
+
+    ExtractorRegistry.register({
+        objectType: 'event',
+        apiName: 'Event',
+        keyPrefix: '00U',
+        label: 'Event',
+        headerActions: ['Create Follow-Up Event', 'Create Follow-Up Task', 'New Event'],
+        stopLabels: [
+            'Subject', 'Start', 'End', 'All-Day Event', 'Location', 'Assigned To', 'Name',
+            'Related To', 'Show Time As', 'Description', 'Created By', 'Last Modified By',
+            'Attendees', 'Invitees', 'Create Follow-Up Event', 'Create Follow-Up Task',
+            'Details', 'Related'
+        ],
+        fields: [
+            { key: 'subject', source: 'recordName', label: 'Subject' },
+            { key: 'startDateTime', label: 'Start', type: 'datetime', fallbacks: ['Start Date Time', 'Start Date'] },
+            { key: 'endDateTime', label: 'End', type: 'datetime', fallbacks: ['End Date Time', 'End Date'] },
+            { key: 'timeZone', read: readTimeZone },
+            { key: 'allDay', label: 'All-Day Event', type: 'boolean', fallbacks: ['All Day Event'] },
+            { key: 'location', label: 'Location' },
+            { key: 'assignedTo', label: 'Assigned To', lookup: 'ownerId' },
+            // Name is a Contact or Lead (WhoId), Related To any other record (WhatId)
+            { key: 'name', label: 'Name', lookup: 'whoId' },
+            { key: 'relatedTo', label: 'Related To', lookup: 'whatId' },
+            { key: 'attendees', read: readAttendees }
+        ],
+        handledRelatedLists: ATTENDEE_LISTS
+    });
+})();
@@ -0,0 +1,197 @@
+/**
+ * Record Layout Parser
+ * Reads label/value pairs straight from Lightning record-layout components
+ * (and the Classic detail table) so empty fields stay empty instead of
+ * picking up the next label as value.
+ * The innerText line scan in the extractor framework is only a fallback.
+ */
+
+(function () {
+    // Layout item containers, in priority order: detail layout first, then highlights panel
+    const ITEM_SELECTORS = [
+        'records-record-layout-item',
+        'force-record-layout-item',
+        'records-highlights-details-item',
+        '.slds-page-header__detail-block',
+        '.slds-form-element'
+    ];
+
+    const LABEL_SELECTORS = [
+        '.test-id__field-label',
+        '.slds-form-element__label',
+        '.slds-text-title'
+    ];
+
+    const VALUE_SELECTORS = [
+        '.test-id__field-value',
+        '.slds-form-element__control',
+        '.slds-form-element__static',
+        '.fieldComponent',
+        '.slds-text-body_regular'
+    ];
+
+    // Classic detail tables put label and value in sibling cells
+    const CLASSIC_LABEL_SELECTOR = 'td.labelCol';
+    const CLASSIC_VALUE_CLASSES = ['dataCol', 'data2Col'];
+    const CLASSIC_ACTION_LINKS = /(\s*\[[^\]]*\])+$/;
+
+    // Inline-edit buttons and screen reader text that live inside value containers
+    const NOISE_SELECTORS = [
+        'button',
+        '.slds-assistive-text',
+        '.assistiveText',
+        '.slds-form-element__help',
+        '.helpButton',
+        '.mouseOverInfoOuter',
+        '.inlineEditPencil'
+    ].join(',');
+
+    /**
+     * querySelectorAll that also walks into open shadow roots
+     */
+    function queryAllDeep(root, selector) {
+        const results = Array.from(root.querySelectorAll(selector));
+        root.querySelectorAll('*').forEach(el => {
+            if (el.shadowRoot) {
+                results.push(...queryAllDeep(el.shadowRoot, selector));
+            }
+        });
+        return results;
+    }
+
+    function firstMatch(element, selectors) {
+        for (const selector of selectors) {
+            const found = element.querySelector(selector);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    function normalizeLabel(text) {
+        return (text || '').replace(/\s+/g, ' ').replace(/[*:]\s*$/, '').trim();
+    }
+
+    // Elements that start a new line inside compound values such as addresses
+    const LINE_BREAK_TAGS = ['BR', 'DIV', 'P', 'LI', 'TR'];
+
+    /**
+     * Collect text of a node, skipping noise and breaking lines at block elements
+     */
+    function collectText(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        if (node.matches(NOISE_SELECTORS)) return '';
+        if (node.tagName === 'BR') return '\n';
+
+        const children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+        const text = Array.from(children).map(collectText).join('');
+        return LINE_BREAK_TAGS.includes(node.tagName) ? `\n${text}\n` : text;
+    }
+
+    /**
+     * Get the visible lines of a value container without inline-edit noise
+     */
+    function readValueLines(valueEl) {
+        const checkbox = valueEl.querySelector('input[type="checkbox"]');
+        if (checkbox) {
+            return [checkbox.checked ? 'true' : 'false'];
+        }
+
+        // Classic renders checkboxes as an image titled "Checked" / "Not Checked"
+        const checkImg = valueEl.querySelector('img.checkImg');
+        if (checkImg) {
+            return [checkImg.getAttribute('title') === 'Checked' ? 'true' : 'false'];
+        }
+
+        return collectText(valueEl)
+            .split('\n')
+            .map(l => l.replace(/\s+/g, ' ').trim())
+            .filter(l => l.length > 0);
+    }
+
+    /**
+     * Read all label/value pairs under root
+     * Returns [{ label, value, lines, element, valueElement }]
+     */
+    function readPairs(root = document) {
+        const pairs = [];
+        const seen = new Set();
+
+        ITEM_SELECTORS.forEach(selector => {
+            queryAllDeep(root, selector).forEach(item => {
+                // Skip items nested in (or wrapping) one we already read
+                for (const done of seen) {
+                    if (done.contains(item) || item.contains(done)) return;
+                }
+
+                const labelEl = firstMatch(item, LABEL_SELECTORS);
+                const valueEl = firstMatch(item, VALUE_SELECTORS);
+                const label = normalizeLabel(item.getAttribute('field-label') || (labelEl ? collectText(labelEl) : ''));
+                if (!label || !valueEl) return;
+
+                const lines = readValueLines(valueEl);
+                seen.add(item);
+                pairs.push({
+                    label,
+                    value: lines.length > 0 ? lines.join(' ') : null,
+                    lines,
+                    element: item,
+                    valueElement: valueEl
+                });
+            });
+        });
+
+        pairs.push(...readClassicPairs(root));
+
+        return pairs;
+    }
+
+    /**
+     * Read label/value pairs from a Classic detail table
+     * (<td class="labelCol">Label</td><td class="dataCol">Value</td>)
+     */
+    function readClassicPairs(root = document) {
+        const pairs = [];
+
+        root.querySelectorAll(CLASSIC_LABEL_SELECTOR).forEach(labelEl => {
+            const valueEl = labelEl.nextElementSibling;
+            if (!valueEl || !CLASSIC_VALUE_CLASSES.some(c => valueEl.classList.contains(c))) return;
+
+            const label = normalizeLabel(collectText(labelEl));
+            if (!label) return;
+
+            // Drop trailing action links such as "[Change]" or "[View Hierarchy]"
+            const lines = readValueLines(valueEl)
+                .map(l => l.replace(CLASSIC_ACTION_LINKS, '').trim())
+                .filter(l => l.length > 0);
+            pairs.push({
+                label,
+                value: lines.length > 0 ? lines.join(' ') : null,
+                lines,
+                element: labelEl.parentElement,
+                valueElement: valueEl
+            });
+        });
+
+        return pairs;
+    }
+
+    /**
+     * Find the pair for a label
+     * Exact matches win over partial matches ("Phone" vs "Phone (2)")
+     */
+    function findPair(pairs, labelText, partialMatch = false) {
+        const wanted = normalizeLabel(labelText).toLowerCase();
+        const exact = pairs.find(p => p.label.toLowerCase() === wanted);
+        if (exact || !partialMatch) return exact || null;
+        return pairs.find(p => p.label.toLowerCase().startsWith(wanted)) || null;
+    }
+
+    // Expose to global scope
+    window.RecordLayoutParser = {
+        readPairs,
+        findPair,
+        readValueLines,
+        queryAllDeep
+    };
+})();
@@ -0,0 +1,182 @@
+/**
+ * List View Extractor
+ * Extracts every row of a Lightning list view (/lightning/o/<ApiName>/list)
+ * Columns are mapped to fields through the registered field specs; the
+ * virtualized grid is scrolled until all rows have been loaded.
+ */
+
+(function () {
+    const DEBUG = true;
+
+    // How long to wait for the grid to append rows after a scroll
+    const SCROLL_WAIT_MS = 600;
+    // Scrolls without new rows before we consider the list fully loaded
+    const MAX_IDLE_SCROLLS = 4;
+    // Safety cap so a runaway list cannot exhaust the page
+    const MAX_ROWS = 5000;
+
+    function log(...args) {
+        if (DEBUG) console.log('[List View Extractor]', ...args);
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Get the object API name from a list view URL
+     */
+    function getListViewApiName(url = window.location.href) {
+        const match = url.match(/\/lightning\/o\/([A-Za-z0-9_]+)\/list/);
+        return match ? match[1] : null;
+    }
+
+    function isListView(url = window.location.href) {
+        return getListViewApiName(url) !== null;
+    }
+
+    /**
+     * Find the list view grid table
+     */
+    function findGrid() {
+        return document.querySelector('lightning-datatable table, table[role="grid"]');
+    }
+
+    /**
+     * Read the total row count from the list header, e.g. "200 items • Sorted by Name"
+     * Returns null when unknown or shown as "200+ items"
+     */
+    function getTotalRowCount() {
+        const meta = document.querySelector('.countSortedByFilteredBy, .slds-page-header__meta-text, force-list-view-manager-status-info');
+        const match = (meta?.textContent || '').match(/(\d[\d,.]*)(\+?)\s+items?/i);
+        if (!match || match[2] === '+') return null;
+        return parseInt(match[1].replace(/[,.]/g, ''), 10);
+    }
+
+    /**
+     * Read column headers of the grid
+     */
+    function readHeaders(table) {
+        return Array.from(table.querySelectorAll('thead th')).map(th => {
+            const label = th.getAttribute('aria-label')
+                || th.querySelector('[title]')?.getAttribute('title')
+                || th.textContent;
+            return (label || '').replace(/^Sort\s+/i, '').replace(/\s+/g, ' ').trim();
+        });
+    }
+
+    /**
+     * Scrollable ancestor of the grid
+     */
+    function findScroller(table) {
+        let el = table.parentElement;
+        while (el && el !== document.body) {
+            if (el.scrollHeight > el.clientHeight + 1) {
+                const overflowY = getComputedStyle(el).overflowY;
+                if (overflowY === 'auto' || overflowY === 'scroll') return el;
+            }
+            el = el.parentElement;
+        }
+        return document.scrollingElement || document.documentElement;
+    }
+
+    /**
+     * Collect the currently rendered rows into the map, keyed by record ID
+     * Each entry is { data, fields } with the per-field provenance
+     */
+    function collectRows(table, columns, apiName, rowsById) {
+        table.querySelectorAll('tbody tr').forEach(tr => {
+            const link = tr.querySelector(`a[href*="/lightning/r/${apiName}/"]`);
+            const idMatch = link?.getAttribute('href')?.match(/\/r\/[A-Za-z0-9_]+\/([a-zA-Z0-9]{15,18})/);
+            const id = idMatch ? idMatch[1] : tr.getAttribute('data-row-key-value');
+            if (!id || rowsById.has(id)) return;
+
+            const cells = Array.from(tr.querySelectorAll('th, td'));
+            const values = {};
+            const fields = {};
+            cells.forEach((cell, i) => {
+                const label = cell.getAttribute('data-label') || columns[i]?.header;
+                const column = columns.find(c => c.header === label);
+                if (!column?.spec) return;
+                // Compound addresses keep their line breaks for the address parser
+                const separator = column.spec.type === 'address' ? '\n' : ' ';
+                const text = RecordLayoutParser.readValueLines(cell).join(separator) || null;
+                Object.assign(values, ExtractorRegistry.coerceField(column.spec, text));
+                if (column.spec.lookup) values[column.spec.lookup] = ExtractorRegistry.readLookupId(cell);
+                fields[column.spec.key] = ExtractorRegistry.describeField(
+                    column.spec,
+                    { raw: text, strategy: text ? 'listView' : 'none' },
+                    values[column.spec.key]
+                );
+            });
+
+            rowsById.set(id, { data: values, fields });
+        });
+    }
+
+    /**
+     * Extract every row of the list view
+     * onProgress(loaded, total) is called after each scroll
+     */
+    async function extract(onProgress = () => {}) {
+        const apiName = getListViewApiName();
+        if (!apiName) {
+            throw new Error('Not a list view page');
+        }
+
+        const definition = ExtractorRegistry.getByApiName(apiName);
+        const objectType = definition ? definition.objectType : apiName;
+
+        const table = findGrid();
+        if (!table) {
+            throw new Error('No list view table found');
+        }
+
+        const columns = readHeaders(table).map(header => ({ header, spec: ExtractorRegistry.mapHeaderToSpec(header, definition) }));
+        log('Columns:', columns.map(c => `${c.header} -> ${c.spec?.key || '(skipped)'}`).join(', '));
+
+        const total = getTotalRowCount();
+        const scroller = findScroller(table);
+        const rowsById = new Map();
+        let idleScrolls = 0;
+
+        collectRows(table, columns, apiName, rowsById);
+        onProgress(rowsById.size, total);
+
+        while (idleScrolls < MAX_IDLE_SCROLLS && rowsById.size < MAX_ROWS) {
+            if (total !== null && rowsById.size >= total) break;
+
+            const before = rowsById.size;
+            scroller.scrollTop = scroller.scrollHeight;
+            await sleep(SCROLL_WAIT_MS);
+
+            collectRows(table, columns, apiName, rowsById);
+            idleScrolls = rowsById.size === before ? idleScrolls + 1 : 0;
+            onProgress(rowsById.size, total);
+        }
+
+        log(`Loaded ${rowsById.size} rows (total: ${total ?? 'unknown'})`);
+
+        const now = Date.now();
+        return Array.from(rowsById.entries()).map(([id, row]) => {
+            const record = {
+                id,
+                objectType,
+                data: row.data,
+                meta: { fields: row.fields },
+                sourceUrl: window.location.href,
+                lastUpdated: now
+            };
+            if (!definition) {
+                record.objectLabel = apiName.replace(/__c$/, '').replace(/_/g, ' ');
+            }
+            return record;
+        });
+    }
+
+    // Expose to global scope
+    window.ListViewExtractor = {
+        isListView,
+        extract
+    };
+})();
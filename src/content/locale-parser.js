@@ -0,0 +1,365 @@
+/**
+ * Locale Parser
+ * Turns dates, numbers and amounts shown in the Salesforce user's locale into
+ * ISO dates, plain numbers and amounts with their currency code. The locale
+ * comes from the settings override (setLocale) or is detected from the page;
+ * date order, month names and separators are derived from it with Intl.
+ * Datetimes are kept as shown, in the user's time zone (getTimeZone).
+ */
+
+(function () {
+    const DEBUG = true;
+
+    const FALLBACK_LOCALE = 'en-US';
+
+    // "1.5K", "2 Mio", "3bn"
+    const MULTIPLIERS = { k: 1e3, m: 1e6, mm: 1e6, mio: 1e6, mn: 1e6, b: 1e9, bn: 1e9 };
+
+    // Symbols that belong to a single currency
+    const CURRENCY_SYMBOLS = {
+        '€': 'EUR', '£': 'GBP', '₹': 'INR', '₩': 'KRW', '₪': 'ILS',
+        '₺': 'TRY', '₽': 'RUB', '₫': 'VND', '฿': 'THB', 'zł': 'PLN'
+    };
+
+    const RELATIVE_DAYS = { today: 0, tomorrow: 1, yesterday: -1 };
+
+    let overrideLocale = null;
+    let detectedLocale = null;
+    let detectedTimeZone = null;
+    const cache = {};
+
+    function log(...args) {
+        if (DEBUG) console.log('[Locale]', ...args);
+    }
+
+    /**
+     * "de_DE" -> "de-DE"; returns null for values Intl does not accept
+     */
+    function normalizeLocale(locale) {
+        if (!locale) return null;
+        const tag = String(locale).trim().replace(/_/g, '-');
+        try {
+            return Intl.getCanonicalLocales(tag)[0] || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Detect the Salesforce user locale from the page
+     * Lightning: Aura bootstrap config ("userLocaleLang"/"userLocaleCountry")
+     * Classic: UserContext.locale
+     * Falls back to the document language, then the browser language
+     */
+    function detectPageLocale() {
+        for (const script of document.querySelectorAll('script:not([src])')) {
+            const text = script.textContent || '';
+
+            const aura = text.match(/"userLocaleLang"\s*:\s*"([a-zA-Z]{2,3})"\s*,\s*"userLocaleCountry"\s*:\s*"([a-zA-Z]{2})"/);
+            if (aura) return normalizeLocale(`${aura[1]}-${aura[2]}`);
+
+            const classic = text.match(/UserContext\.locale\s*=\s*['"]([a-zA-Z]{2,3}_[a-zA-Z]{2})/);
+            if (classic) return normalizeLocale(classic[1]);
+        }
+
+        return normalizeLocale(document.documentElement.lang)
+            || normalizeLocale(navigator.language)
+            || FALLBACK_LOCALE;
+    }
+
+    /**
+     * Use a fixed locale (from settings); empty means detect from the page
+     */
+    function setLocale(locale) {
+        overrideLocale = normalizeLocale(locale);
+    }
+
+    function getLocale() {
+        if (overrideLocale) return overrideLocale;
+        if (!detectedLocale) {
+            detectedLocale = detectPageLocale();
+            log('Detected locale:', detectedLocale);
+        }
+        return detectedLocale;
+    }
+
+    /**
+     * IANA time zone datetimes are shown in, e.g. "America/Los_Angeles"
+     * Lightning: Aura bootstrap config ("timezone"); Classic: UserContext.timeZone
+     * Falls back to the browser's time zone
+     */
+    function getTimeZone() {
+        if (detectedTimeZone) return detectedTimeZone;
+
+        for (const script of document.querySelectorAll('script:not([src])')) {
+            const text = script.textContent || '';
+            const match = text.match(/"timezone"\s*:\s*"([A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)*)"/)
+                || text.match(/UserContext\.timeZone\s*=\s*['"]([A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)*)/);
+            if (match) {
+                detectedTimeZone = match[1];
+                break;
+            }
+        }
+        detectedTimeZone = detectedTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        log('Detected time zone:', detectedTimeZone);
+        return detectedTimeZone;
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function stripAccents(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Date order, month names and number separators of a locale
+     */
+    function getLocaleInfo(locale = getLocale()) {
+        if (cache[locale]) return cache[locale];
+
+        const dateParts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(new Date(2001, 10, 22));
+        const order = dateParts
+            .filter(p => ['day', 'month', 'year'].includes(p.type))
+            .map(p => p.type.charAt(0).toUpperCase())
+            .join('');
+
+        const numberParts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        const group = numberParts.find(p => p.type === 'group')?.value || ',';
+        const decimal = numberParts.find(p => p.type === 'decimal')?.value || '.';
+
+        // Month names of the locale plus English, long and short forms
+        const months = {};
+        [locale, FALLBACK_LOCALE].forEach(loc => {
+            ['long', 'short'].forEach(style => {
+                const format = new Intl.DateTimeFormat(loc, { month: style });
+                for (let m = 0; m < 12; m++) {
+                    const name = stripAccents(format.format(new Date(2001, m, 15)).toLowerCase()).replace(/\.$/, '');
+                    if (name && !/^\d+$/.test(name)) months[name] = m + 1;
+                }
+            });
+        });
+        // English abbreviations Intl does not produce
+        Object.assign(months, { sept: 9 });
+
+        const monthPattern = Object.keys(months)
+            .sort((a, b) => b.length - a.length)
+            .map(escapeRegExp)
+            .join('|');
+
+        cache[locale] = { order, group, decimal, months, monthPattern };
+        return cache[locale];
+    }
+
+    /**
+     * Parse a number in the given locale
+     * Handles thousands/decimal separators of any locale, currency symbols and
+     * codes, parentheses or minus for negatives, and K/M/B suffixes.
+     * Returns null when the text holds no number.
+     */
+    function parseNumber(text, locale = getLocale()) {
+        if (text === null || text === undefined) return null;
+        const str = String(text).trim();
+        const match = str.match(/\d[\d.,'\u2019\s]*/);
+        if (!match) return null;
+
+        const info = getLocaleInfo(locale);
+        const before = str.slice(0, match.index);
+        const after = str.slice(match.index + match[0].length);
+
+        // Separators are always grouping when written as (non-breaking) spaces or apostrophes
+        let core = match[0].trim().replace(/[.,]$/, '').replace(/[\s'\u2019]/g, '');
+
+        const suffix = after.match(/^\s*(mio|mm|mn|bn|k|m|b)\b/i);
+        const multiplier = suffix ? MULTIPLIERS[suffix[1].toLowerCase()] : 1;
+
+        const dots = (core.match(/\./g) || []).length;
+        const commas = (core.match(/,/g) || []).length;
+
+        if (dots > 0 && commas > 0) {
+            // The separator written last is the decimal one
+            const decimalSep = core.lastIndexOf('.') > core.lastIndexOf(',') ? '.' : ',';
+            const groupSep = decimalSep === '.' ? ',' : '.';
+            core = core.split(groupSep).join('').replace(decimalSep, '.');
+        } else if (dots + commas > 0) {
+            const sep = dots > 0 ? '.' : ',';
+            const digitsAfter = core.length - core.lastIndexOf(sep) - 1;
+            const isGroup = (dots + commas) > 1
+                || (sep !== info.decimal && digitsAfter === 3 && !suffix);
+            core = isGroup ? core.split(sep).join('') : core.replace(sep, '.');
+        }
+
+        let num = parseFloat(core);
+        if (isNaN(num)) return null;
+
+        const negative = /[-\u2212]/.test(before) || /^\(.*\)$/.test(str) || /^\s*-/.test(after);
+        num = num * multiplier * (negative ? -1 : 1);
+        return Math.round(num * 1e6) / 1e6;
+    }
+
+    /**
+     * ISO currency code written next to an amount ("EUR 50,000", "50.000 EUR", "€50,000")
+     * "$" and "¥" are shared by several currencies and give null
+     */
+    function findCurrencyCode(text) {
+        const code = text.match(/(?:^|[^A-Za-z])([A-Z]{3})(?![A-Za-z])/);
+        if (code && !MULTIPLIERS[code[1].toLowerCase()]) return code[1];
+
+        const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => text.includes(s));
+        return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+    }
+
+    /**
+     * Parse a currency amount with its ISO code
+     * Multi-currency orgs show the corporate amount in parentheses:
+     * "EUR 50,000.00 (USD 54,000.00)" -> { amount: 50000, currency: 'EUR',
+     *                                      convertedAmount: 54000, convertedCurrency: 'USD' }
+     */
+    function parseCurrency(text, locale = getLocale()) {
+        const result = { amount: null, currency: null, convertedAmount: null, convertedCurrency: null };
+        if (text === null || text === undefined) return result;
+
+        const str = String(text).trim();
+        // A parenthesized amount after the main one; "(1,000)" alone is a negative number
+        const split = str.match(/^(.*\d.*?)\s*\(([^()]*\d[^()]*)\)\s*$/);
+        const main = split ? split[1] : str;
+
+        result.amount = parseNumber(main, locale);
+        result.currency = findCurrencyCode(main);
+        if (split) {
+            result.convertedAmount = parseNumber(split[2], locale);
+            result.convertedCurrency = findCurrencyCode(split[2]);
+        }
+        return result;
+    }
+
+    function toIsoDate(year, month, day) {
+        if (year < 100) year += 2000;
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1) return null;
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Resolve the date part of a text, returning { iso, index, length } or null
+     */
+    function matchDate(text, locale) {
+        const info = getLocaleInfo(locale);
+        const lower = stripAccents(text.toLowerCase());
+
+        const relative = lower.match(/\b(today|tomorrow|yesterday)\b/);
+        if (relative) {
+            const date = new Date();
+            date.setDate(date.getDate() + RELATIVE_DAYS[relative[1]]);
+            return {
+                iso: toIsoDate(date.getFullYear(), date.getMonth() + 1, date.getDate()),
+                index: relative.index,
+                length: relative[0].length
+            };
+        }
+
+        // 2026-03-15, 15/03/2026, 3/15/2026, 15.03.2026, 2026/3/15, 2026年3月15日
+        const numeric = lower.match(/(\d{1,4})\s*[./\-年]\s*(\d{1,2})\s*[./\-月]\s*(\d{1,4})\s*日?/);
+        if (numeric) {
+            const [a, b, c] = numeric.slice(1).map(Number);
+            let order = info.order;
+            if (numeric[1].length === 4) {
+                order = 'YMD';
+            } else if (numeric[3].length === 4 && order === 'YMD') {
+                order = 'MDY';
+            }
+
+            let year;
+            let month;
+            let day;
+            if (order === 'YMD') [year, month, day] = [a, b, c];
+            else if (order === 'DMY') [day, month, year] = [a, b, c];
+            else [month, day, year] = [a, b, c];
+
+            // A first number above 12 can only be the day
+            if (month > 12 && day <= 12) [month, day] = [day, month];
+
+            const iso = toIsoDate(year, month, day);
+            if (iso) return { iso, index: numeric.index, length: numeric[0].length };
+        }
+
+        // 15 March 2026, 15. März 2026, 15 de marzo de 2026
+        const dayFirst = lower.match(new RegExp(`(\\d{1,2})\\.?\\s+(?:de\\s+)?(${info.monthPattern})\\.?,?\\s+(?:de\\s+)?(\\d{4})`));
+        if (dayFirst) {
+            const iso = toIsoDate(Number(dayFirst[3]), info.months[dayFirst[2]], Number(dayFirst[1]));
+            if (iso) return { iso, index: dayFirst.index, length: dayFirst[0].length };
+        }
+
+        // March 15, 2026, Mar 15 2026
+        const monthFirst = lower.match(new RegExp(`(${info.monthPattern})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})`));
+        if (monthFirst) {
+            const iso = toIsoDate(Number(monthFirst[3]), info.months[monthFirst[1]], Number(monthFirst[2]));
+            if (iso) return { iso, index: monthFirst.index, length: monthFirst[0].length };
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a date to YYYY-MM-DD, or null when the text holds no date
+     */
+    function parseDate(text, locale = getLocale()) {
+        if (!text) return null;
+        const match = matchDate(String(text), locale);
+        return match ? match.iso : null;
+    }
+
+    /**
+     * Parse a date with optional time to YYYY-MM-DDTHH:mm (local time, as displayed)
+     * Dates without a time are returned as YYYY-MM-DD
+     */
+    function parseDateTime(text, locale = getLocale()) {
+        if (!text) return null;
+        const str = String(text);
+        const date = matchDate(str, locale);
+        if (!date) return null;
+
+        const rest = str.slice(date.index + date.length);
+        const time = rest.match(/(\d{1,2})[:.h](\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?/i);
+        if (!time) return date.iso;
+
+        let hours = Number(time[1]);
+        const marker = (time[3] || '').toLowerCase().replace(/\./g, '');
+        if (marker === 'pm' && hours < 12) hours += 12;
+        if (marker === 'am' && hours === 12) hours = 0;
+
+        return `${date.iso}T${String(hours).padStart(2, '0')}:${time[2]}`;
+    }
+
+    /**
+     * Find the first date (with optional time) inside a longer text
+     * Returns the matched text or null
+     */
+    function findDate(text, locale = getLocale()) {
+        if (!text) return null;
+        const str = String(text);
+        const date = matchDate(str, locale);
+        if (!date) return null;
+
+        const rest = str.slice(date.index + date.length);
+        const time = rest.match(/^,?\s+\d{1,2}[:.h]\d{2}(?::\d{2})?(\s*[ap]\.?m\.?)?/i);
+        return str.substr(date.index, date.length + (time ? time[0].length : 0)).trim();
+    }
+
+    // Expose to global scope
+    window.LocaleParser = {
+        setLocale,
+        getLocale,
+        getTimeZone,
+        parseNumber,
+        parseCurrency,
+        parseDate,
+        parseDateTime,
+        findDate
+    };
+})();
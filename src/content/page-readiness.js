@@ -0,0 +1,264 @@
+/**
+ * Page Readiness
+ * Lightning swaps record pages in place, so right after a navigation the DOM
+ * can still show the previous record. waitForRecord watches the page with a
+ * MutationObserver until the highlights panel refers to the expected record
+ * and the layout has stopped changing, or rejects with code PAGE_NOT_READY.
+ * Only the record container on screen is checked: Lightning keeps the pages of
+ * earlier records in the DOM, hidden. A page without ID markers cannot be
+ * checked against the record, so after a navigation it must first render a new
+ * layout (noteNavigation).
+ */
+
+(function () {
+    const DEBUG = true;
+
+    const DEFAULT_TIMEOUT_MS = 8000;
+
+    // The layout counts as stable after this long without DOM mutations
+    const STABLE_MS = 400;
+
+    // Pages that never fall quiet (live timers, animations) are checked this often anyway
+    const MAX_UNSTABLE_MS = 2000;
+
+    // Record header panels (Lightning highlights, Classic page title)
+    const HIGHLIGHTS_SELECTORS = [
+        'records-highlights2',
+        'records-lwc-highlights-panel',
+        'force-highlights2',
+        '.bPageTitle'
+    ].join(',');
+
+    // Any of these means the record layout has rendered
+    const LAYOUT_SELECTORS = [
+        HIGHLIGHTS_SELECTORS,
+        'records-record-layout-item',
+        'force-record-layout-item',
+        '.slds-form-element',
+        'td.labelCol'
+    ].join(',');
+
+    // Lightning's page container; cached pages of other records stay in the DOM without .active
+    const ACTIVE_CONTAINER_SELECTORS = '.oneContent.active';
+
+    // Attributes Lightning components use to carry their record ID
+    const RECORD_ID_ATTRIBUTES = ['record-id', 'data-recordid', 'data-record-id'];
+
+    let timeoutMs = DEFAULT_TIMEOUT_MS;
+
+    // Set by a navigation to another record until a layout renders or a cached page is shown
+    let awaitingLayout = false;
+    let navigationObserver = null;
+    let navigationTimer = null;
+
+    function log(...args) {
+        if (DEBUG) console.log('[Readiness]', ...args);
+    }
+
+    /**
+     * Set the readiness timeout (from settings); empty restores the default
+     */
+    function configure(options = {}) {
+        timeoutMs = options.timeoutMs > 0 ? options.timeoutMs : DEFAULT_TIMEOUT_MS;
+    }
+
+    /**
+     * 15- and 18-character forms of an ID compare equal
+     */
+    function sameId(a, b) {
+        return Boolean(a && b) && a.slice(0, 15) === b.slice(0, 15);
+    }
+
+    /**
+     * Record ID in the path of a Lightning or Classic record URL, or null
+     */
+    function getUrlRecordId(url) {
+        try {
+            return new URL(url, window.location.href).pathname.split('/')
+                .find(part => /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/.test(part) && /\d/.test(part)) || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function isVisible(el) {
+        return el.getClientRects().length > 0;
+    }
+
+    /**
+     * Element holding the record shown on screen: the root given, or for the
+     * whole document the active, visible Lightning page container
+     */
+    function getRecordContainer(root) {
+        if (root !== document) return root;
+        return Array.from(document.querySelectorAll(ACTIVE_CONTAINER_SELECTORS)).find(isVisible) || document;
+    }
+
+    /**
+     * Whether a mutation renders a record layout or shows a cached page
+     */
+    function isLayoutMutation(mutation) {
+        if (mutation.type === 'attributes') {
+            return mutation.target.matches(ACTIVE_CONTAINER_SELECTORS);
+        }
+        return Array.from(mutation.addedNodes).some(node => node.nodeType === Node.ELEMENT_NODE
+            && (node.matches(LAYOUT_SELECTORS) || node.querySelector(LAYOUT_SELECTORS) !== null));
+    }
+
+    function stopAwaitingLayout() {
+        awaitingLayout = false;
+        clearTimeout(navigationTimer);
+        if (navigationObserver) navigationObserver.disconnect();
+        navigationObserver = null;
+    }
+
+    /**
+     * Record an SPA navigation (called by the content script when the URL changes)
+     * Going to another record sets awaitingLayout until the page renders a layout,
+     * or for at most the readiness timeout so a page that never does is not blocked
+     */
+    function noteNavigation(fromUrl, toUrl) {
+        const fromId = getUrlRecordId(fromUrl);
+        const toId = getUrlRecordId(toUrl);
+        if (!toId || sameId(fromId, toId)) return;
+
+        awaitingLayout = true;
+        clearTimeout(navigationTimer);
+        navigationTimer = setTimeout(stopAwaitingLayout, timeoutMs);
+        if (navigationObserver) return;
+
+        navigationObserver = new MutationObserver(mutations => {
+            if (!mutations.some(isLayoutMutation)) return;
+            log('Layout rendered after navigation');
+            stopAwaitingLayout();
+        });
+        navigationObserver.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['class']
+        });
+    }
+
+    /**
+     * Record IDs the highlights panels carry in their ID attributes
+     * visibleOnly skips panels that are not on screen
+     */
+    function getHighlightsRecordIds(root, visibleOnly) {
+        const ids = new Set();
+        const panels = RecordLayoutParser.queryAllDeep(root, HIGHLIGHTS_SELECTORS)
+            .filter(panel => !visibleOnly || isVisible(panel));
+        const idSelector = RECORD_ID_ATTRIBUTES.map(a => `[${a}]`).join(',');
+
+        panels.forEach(panel => {
+            [panel, ...panel.querySelectorAll(idSelector)].forEach(el => {
+                RECORD_ID_ATTRIBUTES.forEach(attr => {
+                    const value = el.getAttribute(attr);
+                    if (/^[a-zA-Z0-9]{15,18}$/.test(value || '')) ids.add(value);
+                });
+            });
+        });
+
+        return Array.from(ids);
+    }
+
+    /**
+     * Check the page once
+     * Returns { ready, reason }; a panel without ID markers cannot be checked
+     * and only needs a rendered, stable layout that is newer than the last
+     * navigation.
+     */
+    function checkRecord(root, expectedId) {
+        const container = getRecordContainer(root);
+        if (!container.querySelector(LAYOUT_SELECTORS) && RecordLayoutParser.queryAllDeep(container, LAYOUT_SELECTORS).length === 0) {
+            return { ready: false, reason: 'record layout has not rendered' };
+        }
+
+        const ids = getHighlightsRecordIds(container, root === document);
+        if (ids.length > 0 && !ids.some(id => sameId(id, expectedId))) {
+            return { ready: false, reason: `page still shows record ${ids[0]}` };
+        }
+        if (ids.length === 0 && awaitingLayout) {
+            return { ready: false, reason: 'layout has not changed since the navigation' };
+        }
+
+        return { ready: true, reason: null };
+    }
+
+    function createNotReadyError(reason) {
+        const err = new Error(`Page not ready: ${reason}`);
+        err.code = 'PAGE_NOT_READY';
+        return err;
+    }
+
+    /**
+     * Wait until root shows the expected record and has been quiet for STABLE_MS
+     * options: { root, timeoutMs, log }
+     */
+    function waitForRecord(expectedId, options = {}) {
+        const root = options.root || document;
+        const limit = options.timeoutMs || timeoutMs;
+        const logger = options.log || log;
+        const target = root === document ? document.documentElement : root;
+        const startedAt = Date.now();
+
+        logger('Waiting for record', expectedId, `(timeout ${limit}ms)`);
+
+        return new Promise((resolve, reject) => {
+            let stableTimer = null;
+            let lastCheckAt = startedAt;
+            let lastReason = 'record layout has not rendered';
+
+            const finish = () => {
+                observer.disconnect();
+                clearTimeout(stableTimer);
+                clearTimeout(deadline);
+            };
+
+            const runCheck = () => {
+                lastCheckAt = Date.now();
+                const state = checkRecord(root, expectedId);
+                if (state.ready) {
+                    finish();
+                    logger(`Record ready after ${Date.now() - startedAt}ms`);
+                    resolve();
+                } else {
+                    lastReason = state.reason;
+                }
+            };
+
+            // Checked only once mutations pause, so bursts of rendering cost one check
+            const armStableTimer = () => {
+                clearTimeout(stableTimer);
+                if (Date.now() - lastCheckAt >= MAX_UNSTABLE_MS) {
+                    runCheck();
+                    return;
+                }
+                stableTimer = setTimeout(runCheck, STABLE_MS);
+            };
+
+            const observer = new MutationObserver(armStableTimer);
+            const deadline = setTimeout(() => {
+                finish();
+                logger('Record not ready:', lastReason);
+                reject(createNotReadyError(lastReason));
+            }, limit);
+
+            observer.observe(target, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: [...RECORD_ID_ATTRIBUTES, 'class']
+            });
+            armStableTimer();
+        });
+    }
+
+    // Expose to global scope
+    window.PageReadiness = {
+        configure,
+        noteNavigation,
+        waitForRecord
+    };
+})();
@@ -0,0 +1,248 @@
+/**
+ * Report Extractor
+ * Captures tabular, summary and matrix report tables from report run pages
+ * (/lightning/r/Report/<id>/view) as a "report snapshot" record.
+ * The report viewer renders inside a same-origin iframe.
+ */
+
+(function () {
+    const DEBUG = true;
+
+    // How long to wait for the report iframe to render its table
+    const TABLE_WAIT_MS = 8000;
+    const POLL_MS = 250;
+
+    const SUBTOTAL_PATTERN = /^(subtotal|total)\b/i;
+    const GRAND_TOTAL_PATTERN = /^grand total\b/i;
+
+    function log(...args) {
+        if (DEBUG) console.log('[Report Extractor]', ...args);
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function getReportIdFromUrl(url = window.location.href) {
+        const match = url.match(/\/lightning\/r\/Report\/([a-zA-Z0-9]{15,18})\/view/);
+        return match ? match[1] : null;
+    }
+
+    function isReportPage(url = window.location.href) {
+        return getReportIdFromUrl(url) !== null;
+    }
+
+    /**
+     * Get the report viewer document (iframe when present, else the page itself)
+     */
+    function getReportDocument() {
+        const frame = document.querySelector('iframe[title*="Report" i], iframe.isView, .reportsReportBuilder iframe');
+        if (!frame) return document;
+
+        // contentDocument is null when the frame is cross-origin
+        let doc = null;
+        try {
+            doc = frame.contentDocument;
+        } catch (err) {
+            doc = null;
+        }
+        if (!doc) {
+            throw new Error('Report frame is not accessible');
+        }
+        return doc;
+    }
+
+    /**
+     * Pick the report grid: the data grid table, else the largest table
+     */
+    function findReportTable(doc) {
+        const grid = doc.querySelector('table.data-grid-table');
+        if (grid) return grid;
+
+        const tables = Array.from(doc.querySelectorAll('table'));
+        return tables.sort((a, b) => b.rows.length - a.rows.length)[0] || null;
+    }
+
+    async function waitForReportTable() {
+        const deadline = Date.now() + TABLE_WAIT_MS;
+        while (Date.now() < deadline) {
+            const doc = getReportDocument();
+            const table = doc && findReportTable(doc);
+            if (table && table.rows.length > 0) return { doc, table };
+            await sleep(POLL_MS);
+        }
+        throw new Error('Report table not found');
+    }
+
+    function cellText(cell) {
+        return (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Expand a table section into a rectangular grid, resolving rowspan/colspan
+     * Cells covered by a rowspan carry the spanning cell's text and are marked carried
+     */
+    function expandRows(rows) {
+        const pending = [];
+        return rows.map(tr => {
+            const out = [];
+            let col = 0;
+            const fillPending = () => {
+                while (pending[col] && pending[col].remaining > 0) {
+                    out.push({ text: pending[col].text, carried: true, spanned: true });
+                    pending[col].remaining--;
+                    col++;
+                }
+            };
+
+            Array.from(tr.cells).forEach(cell => {
+                fillPending();
+                const text = cellText(cell);
+                const rowSpan = cell.rowSpan || 1;
+                const colSpan = cell.colSpan || 1;
+                for (let i = 0; i < colSpan; i++) {
+                    out.push({ text, carried: false, spanned: rowSpan > 1, element: cell });
+                    if (rowSpan > 1) pending[col] = { text, remaining: rowSpan - 1 };
+                    col++;
+                }
+            });
+            fillPending();
+
+            return { tr, cells: out };
+        });
+    }
+
+    /**
+     * Parse the report table into columns, grouping levels and typed rows
+     */
+    function parseReportTable(table) {
+        const headRows = table.tHead ? Array.from(table.tHead.rows) : [];
+        const bodyRows = Array.from(table.tBodies).flatMap(b => Array.from(b.rows));
+
+        // Without a thead, the first row holds the column headers
+        if (headRows.length === 0 && bodyRows.length > 0) {
+            headRows.push(bodyRows.shift());
+        }
+
+        const headerRows = expandRows(headRows).map(r => r.cells.map(c => c.text));
+        const width = Math.max(0, ...headerRows.map(r => r.length));
+        const columns = [];
+        for (let i = 0; i < width; i++) {
+            // Matrix reports stack column groups: "Q1 2026 / Sum of Amount"
+            const parts = headerRows.map(r => r[i]).filter(Boolean);
+            columns.push(parts.filter((p, j) => p !== parts[j - 1]).join(' / ') || `Column ${i + 1}`);
+        }
+
+        const expanded = expandRows(bodyRows);
+
+        // Grouping columns are the ones rendered with rowspan or marked as grouping cells
+        const groupingColumns = new Set();
+        expanded.forEach(row => row.cells.forEach((c, i) => {
+            const cls = c.element?.className || '';
+            if (c.spanned || /group/i.test(cls)) groupingColumns.add(i);
+        }));
+        const groupIndexes = Array.from(groupingColumns).sort((a, b) => a - b);
+
+        const rows = expanded.map(({ tr, cells }) => {
+            const texts = cells.map(c => c.text);
+            const rowClass = tr.className || '';
+            const label = texts.find(t => t) || '';
+
+            let type = 'detail';
+            if (GRAND_TOTAL_PATTERN.test(label) || /grand-?total/i.test(rowClass)) {
+                type = 'grandTotal';
+            } else if (texts.some(t => SUBTOTAL_PATTERN.test(t)) || /subtotal|summary/i.test(rowClass)) {
+                type = 'subtotal';
+            }
+
+            // The grand total spans every group, so it sits at level 0
+            const groups = type === 'grandTotal' ? [] : groupIndexes.map(i => texts[i] || null);
+            const level = groups.filter(Boolean).length;
+
+            return { type, level, groups, cells: texts };
+        });
+
+        let format = 'tabular';
+        if (headerRows.length > 1) {
+            format = 'matrix';
+        } else if (groupIndexes.length > 0 || rows.some(r => r.type === 'subtotal')) {
+            format = 'summary';
+        }
+
+        return {
+            format,
+            columns,
+            headerRows,
+            groupingColumns: groupIndexes.map(i => columns[i]),
+            rows
+        };
+    }
+
+    function getReportName(doc) {
+        const selectors = [
+            '.report-header .slds-page-header__title',
+            '.reportTitle',
+            'h1.slds-page-header__title',
+            'h1'
+        ];
+        for (const root of [doc, document]) {
+            for (const selector of selectors) {
+                const text = root.querySelector(selector)?.textContent?.trim();
+                if (text) return text;
+            }
+        }
+        return document.title.replace(/\s*\|\s*Salesforce\s*$/i, '').trim() || null;
+    }
+
+    /**
+     * Read the "As of Today at 10:15 AM" refresh text shown by the viewer
+     */
+    function getAsOfText(doc) {
+        const match = (doc.body?.innerText || doc.body?.textContent || '').match(/As of [^\n]+/);
+        return match ? match[0].trim() : null;
+    }
+
+    /**
+     * Extract the report as a snapshot record
+     */
+    async function extract() {
+        const reportId = getReportIdFromUrl();
+        if (!reportId) {
+            throw new Error('Could not determine Salesforce Report ID from URL');
+        }
+
+        const { doc, table } = await waitForReportTable();
+        const parsed = parseReportTable(table);
+        const runAt = new Date();
+
+        log(`Parsed ${parsed.format} report: ${parsed.rows.length} rows, ${parsed.columns.length} columns`);
+
+        const record = {
+            // Each run is its own snapshot
+            id: `${reportId}_${runAt.getTime()}`,
+            objectType: 'reportSnapshot',
+            data: {
+                reportId,
+                reportName: getReportName(doc),
+                runAt: runAt.toISOString(),
+                asOf: getAsOfText(doc),
+                format: parsed.format,
+                columns: parsed.columns,
+                headerRows: parsed.headerRows,
+                groupingColumns: parsed.groupingColumns,
+                rows: parsed.rows
+            },
+            sourceUrl: window.location.href,
+            lastUpdated: runAt.getTime()
+        };
+
+        return { record, relatedRecords: [] };
+    }
+
+    // Expose to global scope
+    window.ReportExtractor = {
+        isReportPage,
+        extract,
+        parseReportTable
+    };
+})();
@@ -1,7 +1,9 @@
 /**
  * Popup Script
  * Handles UI interactions and communication with background service worker
- * Supports Opportunities, Leads, Contacts, Accounts, and Tasks
+ * Supports Opportunities, Leads, Contacts, Accounts, Activities, report snapshots and custom objects
+ * Collection names and labels come from src/shared/object-types.js,
+ * user options from src/shared/settings.js
  */
 
 // DOM Elements
@@ -10,22 +12,15 @@ const downloadBtn = document.getElementById('downloadBtn');
 const downloadCsvBtn = document.getElementById('downloadCsvBtn');
 const searchInput = document.getElementById('searchInput');
 const statusDiv = document.getElementById('status');
-const opportunitiesList = document.getElementById('opportunitiesList');
-const opportunitiesCount = document.getElementById('opportunitiesCount');
-const leadsList = document.getElementById('leadsList');
-const leadsCount = document.getElementById('leadsCount');
-const contactsList = document.getElementById('contactsList');
-const contactsCount = document.getElementById('contactsCount');
-const accountsList = document.getElementById('accountsList');
-const accountsCount = document.getElementById('accountsCount');
-const tasksList = document.getElementById('tasksList');
-const tasksCount = document.getElementById('tasksCount');
-const tabBtns = document.querySelectorAll('.tab-btn');
-const tabContents = document.querySelectorAll('.tab-content');
+const tabsContainer = document.getElementById('tabs');
+const tabContentsContainer = document.getElementById('tabContents');
 
 // Current search text
 let currentSearchText = '';
 
+// Stored settings, loaded by initSettings()
+let currentSettings = { ...DEFAULT_SETTINGS };
+
 /**
  * Show status message
  */
@@ -51,16 +46,85 @@ function setLoading(loading) {
 }
 
 /**
- * Format currency amount
+ * Format currency amount, in the base currency unless a code is given
+ */
+function formatAmount(amount, currency = currentSettings.baseCurrency) {
+  if (amount === null || amount === undefined) return 'N/A';
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2
+    }).format(amount);
+  } catch (e) {
+    // Unknown currency code
+    return `${currency} ${amount.toLocaleString('en-US')}`;
+  }
+}
+
+/**
+ * Convert a currency field to the base currency
+ * The amount Salesforce already shows in the base currency wins; otherwise the
+ * exchange-rate table is used (units per 1 base unit, as in Salesforce's
+ * Manage Currencies). Amounts without a code are taken as base currency.
+ * Returns null when no rate is known.
+ */
+function toBaseAmount(data, key, settings = currentSettings) {
+  const base = settings.baseCurrency;
+  const rates = settings.exchangeRates || {};
+  const values = [
+    { amount: data[key], currency: data[`${key}Currency`] },
+    { amount: data[`${key}Converted`], currency: data[`${key}ConvertedCurrency`] }
+  ].filter(v => v.amount !== null && v.amount !== undefined);
+
+  const inBase = values.find(v => !v.currency || v.currency === base);
+  if (inBase) return inBase.amount;
+
+  const convertible = values.find(v => rates[v.currency] > 0);
+  if (convertible) return Math.round(convertible.amount / rates[convertible.currency] * 100) / 100;
+
+  return null;
+}
+
+/**
+ * Format a currency field as shown in multi-currency orgs: "€50,000 ($54,000)"
+ * Amounts in another currency get their base equivalent when a rate is known
  */
-function formatAmount(amount) {
+function formatCurrencyField(data, key) {
+  const amount = data[key];
   if (amount === null || amount === undefined) return 'N/A';
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 2
-  }).format(amount);
+
+  const currency = data[`${key}Currency`];
+  const text = formatAmount(amount, currency || undefined);
+
+  if (data[`${key}Converted`] !== null && data[`${key}Converted`] !== undefined) {
+    return `${text} (${formatAmount(data[`${key}Converted`], data[`${key}ConvertedCurrency`] || undefined)})`;
+  }
+  if (currency && currency !== currentSettings.baseCurrency) {
+    const baseAmount = toBaseAmount(data, key);
+    if (baseAmount !== null) return `${text} (≈ ${formatAmount(baseAmount)})`;
+  }
+  return text;
+}
+
+/**
+ * Data keys of currency fields (those stored with <key>ConvertedCurrency)
+ */
+function getCurrencyKeys(keys) {
+  const keySet = new Set(keys);
+  return keys.filter(k => keySet.has(`${k}ConvertedCurrency`));
+}
+
+/**
+ * Copy of a record with <key>Base amounts for its currency fields
+ */
+function withBaseAmounts(record) {
+  const data = { ...(record.data || {}) };
+  getCurrencyKeys(Object.keys(data)).forEach(k => {
+    data[`${k}Base`] = toBaseAmount(data, k);
+  });
+  return { ...record, data };
 }
 
 /**
@@ -80,6 +144,68 @@ function formatDate(dateStr) {
   }
 }
 
+/**
+ * Format a date, with its time when it has one ("2026-03-15T10:30")
+ */
+function formatDateTime(dateStr) {
+  if (!dateStr || !dateStr.includes('T')) return formatDate(dateStr);
+  const date = new Date(dateStr);
+  if (isNaN(date)) return dateStr;
+  return date.toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Parts of a parsed address, in display and CSV column order
+const ADDRESS_PARTS = ['street', 'city', 'state', 'postalCode', 'country', 'countryCode'];
+
+/**
+ * Whether a data value is a parsed address (see address-parser.js)
+ */
+function isAddress(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && 'countryCode' in value;
+}
+
+/**
+ * Format a parsed address on one line: "1 Market St, San Francisco, CA 94105, United States"
+ */
+function formatAddress(address) {
+  if (!isAddress(address)) return 'N/A';
+  const parts = [
+    address.street && address.street.replace(/\n/g, ', '),
+    address.city,
+    [address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country
+  ];
+  return parts.filter(Boolean).join(', ') || 'N/A';
+}
+
+// Event attendee response statuses with their icon
+const RESPONSE_ICONS = {
+  Accepted: '✅',
+  Declined: '❌',
+  Maybe: '❔',
+  'Not Responded': '⏳'
+};
+
+/**
+ * Whether a data value is an Event attendee ({ name, id, status })
+ */
+function isAttendee(value) {
+  return Boolean(value) && typeof value === 'object' && 'name' in value && 'status' in value;
+}
+
+/**
+ * Attendees on one line: "Jane Roe (Accepted); Bob Lee (Declined)"
+ */
+function formatAttendees(attendees) {
+  return (attendees || []).map(a => `${a.name} (${a.status})`).join('; ');
+}
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -90,6 +216,104 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+// Extracted values below this confidence are flagged for review
+const LOW_CONFIDENCE = 0.6;
+
+/**
+ * Fields whose value was found with low confidence (see meta.fields)
+ * Fields that were not found at all are shown as N/A and not flagged
+ */
+function getLowConfidenceFields(record) {
+  const fields = record.meta?.fields || {};
+  return Object.keys(fields).filter(k => fields[k].raw !== null && fields[k].confidence < LOW_CONFIDENCE);
+}
+
+/**
+ * Any data value as one line of text
+ */
+function formatValue(value) {
+  if (isAddress(value)) return formatAddress(value);
+  if (Array.isArray(value)) return value.map(v => isAttendee(v) ? v.name : formatValue(v)).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value ?? '');
+}
+
+// Labels of the sources a merge conflict names
+const SOURCE_LABELS = { recordPage: 'record page', listView: 'list view', relatedList: 'related list' };
+
+/**
+ * Render a "check these fields" badge for low-confidence values and merge conflicts
+ * The tooltip lists each field's raw text, strategy and confidence, and each
+ * value another source disagreed with
+ */
+function renderReviewFlag(record) {
+  const keys = getLowConfidenceFields(record);
+  const conflicts = record.meta?.conflicts || [];
+  if (keys.length === 0 && conflicts.length === 0) return '';
+
+  const details = keys.map(k => {
+    const field = record.meta.fields[k];
+    return `${humanizeKey(k)}: "${field.raw}" (${field.strategy}, ${Math.round(field.confidence * 100)}%)`;
+  });
+  const conflictDetails = conflicts.map(c => {
+    const source = s => SOURCE_LABELS[s] || 'unknown source';
+    return `${humanizeKey(c.field)}: kept "${formatValue(c.kept)}" (${source(c.keptSource)}), not "${formatValue(c.rejected)}" (${source(c.rejectedSource)})`;
+  });
+  const title = [
+    ...(details.length > 0 ? ['Check these values:', ...details] : []),
+    ...(conflictDetails.length > 0 ? ['Sources disagreed:', ...conflictDetails] : [])
+  ].join('\n');
+
+  return `<span class="review-flag" title="${escapeHtml(title).replace(/"/g, '&quot;')}">⚠ ${keys.length + conflicts.length} to check</span>`;
+}
+
+/**
+ * Render a button that opens the record's change timeline (record.history)
+ */
+function renderHistoryButton(record) {
+  const versions = (record.history || []).length;
+  if (versions === 0) return '';
+  return `<button class="history-btn" data-id="${escapeHtml(record.id)}" title="Show changes">🕘 ${versions}</button>`;
+}
+
+/**
+ * Label of a changed field: "closeDate" -> "Close Date", "extraFields.nextStep" -> "Next Step (extra)"
+ */
+function getChangeLabel(field) {
+  return field.startsWith('extraFields.') ? `${humanizeKey(field.slice('extraFields.'.length))} (extra)` : humanizeKey(field);
+}
+
+/**
+ * Render a record's change timeline, newest version first
+ */
+function renderHistory(record) {
+  const entries = [...(record.history || [])].reverse().map(entry => {
+    const changes = entry.changes.map(c => `
+        <div class="history-change"><strong>${escapeHtml(getChangeLabel(c.field))}</strong> ${escapeHtml(c.oldValue === null ? 'empty' : formatValue(c.oldValue))} → ${escapeHtml(c.newValue === null ? 'empty' : formatValue(c.newValue))}</div>`).join('');
+    return `
+      <div class="history-entry">
+        <div class="history-date">${escapeHtml(new Date(entry.changedAt).toLocaleString())}${entry.source ? ` · ${escapeHtml(SOURCE_LABELS[entry.source] || entry.source)}` : ''}</div>${changes}
+      </div>`;
+  }).join('');
+
+  return `<div class="history-timeline">${entries}
+    </div>`;
+}
+
+/**
+ * Show or hide the change timeline under a record card
+ */
+function toggleHistory(btn) {
+  const card = btn.closest('.record-card');
+  const open = card.querySelector('.history-timeline');
+  if (open) {
+    open.remove();
+    return;
+  }
+  const record = recordsById[btn.dataset.id];
+  if (record) card.insertAdjacentHTML('beforeend', renderHistory(record));
+}
+
 /**
  * Filter records by search text
  */
@@ -101,8 +325,11 @@ function filterRecords(records, searchText) {
   const lower = searchText.toLowerCase();
   return filtered.filter(r => {
     const data = r.data || {};
-    return Object.values(data).some(v =>
-      String(v || '').toLowerCase().includes(lower)
+    const values = [...Object.values(data), ...Object.values(data.extraFields || {})]
+      .flatMap(v => isAddress(v) ? Object.values(v) : v)
+      .map(v => isAttendee(v) ? v.name : v);
+    return values.some(v =>
+      typeof v !== 'object' && String(v || '').toLowerCase().includes(lower)
     );
   });
 }
@@ -176,6 +403,23 @@ function hideUndoToast() {
   }
 }
 
+/**
+ * Send a change of stored data to the service worker, which owns all writes
+ * Resolves with the response; an error response is shown as a status
+ */
+function requestDataUpdate(type, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type, payload }, (response) => {
+      if (chrome.runtime.lastError || !response || response.status !== 'ok') {
+        showStatus(`❌ ${response?.message || chrome.runtime.lastError?.message || 'Could not update storage'}`, 'error');
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
 /**
  * Undo delete - restore the record
  */
@@ -184,33 +428,11 @@ function undoDelete() {
 
   const { objectType, recordId } = undoState;
 
-  chrome.storage.local.get(['salesforce_data'], (result) => {
-    const data = result.salesforce_data || {};
-
-    const collectionMap = {
-      'opportunity': 'opportunities',
-      'lead': 'leads',
-      'contact': 'contacts',
-      'account': 'accounts',
-      'task': 'tasks'
-    };
-
-    const collectionName = collectionMap[objectType];
-    if (!collectionName || !data[collectionName]) return;
-
-    // Find and restore the record
-    const record = data[collectionName].find(r => r.id === recordId);
-    if (record) {
-      record.deleted = false;
-      record.deletedAt = null;
-      data.lastSync = Date.now();
-
-      chrome.storage.local.set({ salesforce_data: data }, () => {
-        showStatus('↩️ Record restored', 'success');
-        hideUndoToast();
-        loadRecords();
-      });
-    }
+  requestDataUpdate('RESTORE_RECORD', { objectType, recordId }).then(response => {
+    if (!response) return;
+    showStatus('↩️ Record restored', 'success');
+    hideUndoToast();
+    loadRecords();
   });
 }
 
@@ -218,37 +440,28 @@ function undoDelete() {
  * Soft delete a record (mark as deleted, don't remove)
  */
 function deleteRecord(objectType, recordId) {
-  chrome.storage.local.get(['salesforce_data'], (result) => {
-    const data = result.salesforce_data || {};
-
-    const collectionMap = {
-      'opportunity': 'opportunities',
-      'lead': 'leads',
-      'contact': 'contacts',
-      'account': 'accounts',
-      'task': 'tasks'
-    };
-
-    const collectionName = collectionMap[objectType];
-    if (!collectionName || !data[collectionName]) return;
-
-    // Find the record and mark as deleted (soft delete)
-    const record = data[collectionName].find(r => r.id === recordId);
-    if (record) {
-      const recordName = record.data?.name || record.data?.subject || 'Record';
-
-      record.deleted = true;
-      record.deletedAt = Date.now();
-      data.lastSync = Date.now();
-
-      chrome.storage.local.set({ salesforce_data: data }, () => {
-        showUndoToast(objectType, recordId, recordName);
-        loadRecords();
-      });
-    }
+  requestDataUpdate('DELETE_RECORD', { objectType, recordId }).then(response => {
+    if (!response) return;
+    showUndoToast(objectType, recordId, response.recordName);
+    loadRecords();
+  });
+}
+
+/**
+ * Watch or unwatch a record; changes of watched records are checked against
+ * the alert rules when they are extracted again
+ */
+function toggleWatch(objectType, recordId, watched) {
+  requestDataUpdate('SET_WATCHED', { objectType, recordId, watched }).then(response => {
+    if (!response) return;
+    showStatus(response.watched ? '🔔 Watching for pipeline changes' : '🔕 No longer watched', 'success');
+    loadRecords();
   });
 }
 
+function renderWatchButton(record) {
+  return `<button class="watch-btn${record.watched ? ' active' : ''}" data-type="${escapeHtml(record.objectType)}" data-id="${escapeHtml(record.id)}" title="${record.watched ? 'Stop alerts for this record' : 'Alert me when this record changes'}">${record.watched ? '🔔' : '🔕'}</button>`;
+}
 
 /**
  * Render Opportunity card
@@ -260,17 +473,28 @@ function renderOpportunityCard(record) {
     <div class="record-card">
       <div class="record-header">
         <div class="record-name">${escapeHtml(data.name || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        ${renderWatchButton(record)}
         <button class="delete-btn" data-type="opportunity" data-id="${escapeHtml(record.id)}">Delete</button>
       </div>
       <div class="record-fields">
         <div class="record-field">
           <div class="label">Amount</div>
-          <div class="value">${formatAmount(data.amount)}</div>
+          <div class="value">${escapeHtml(formatCurrencyField(data, 'amount'))}</div>
         </div>
         <div class="record-field">
           <div class="label">Close Date</div>
           <div class="value">${formatDate(data.closeDate)}</div>
         </div>
+        <div class="record-field">
+          <div class="label">Stage</div>
+          <div class="value">${escapeHtml(data.stage || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Account</div>
+          <div class="value">${renderLookup(data.account, data.accountId)}</div>
+        </div>
         <div class="record-field">
           <div class="label">Owner</div>
           <div class="value">${escapeHtml(data.owner || 'N/A')}</div>
@@ -290,6 +514,8 @@ function renderLeadCard(record) {
     <div class="record-card">
       <div class="record-header">
         <div class="record-name">${escapeHtml(data.name || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
         <button class="delete-btn" data-type="lead" data-id="${escapeHtml(record.id)}">Delete</button>
       </div>
       <div class="record-fields">
@@ -305,6 +531,10 @@ function renderLeadCard(record) {
           <div class="label">Phone</div>
           <div class="value">${escapeHtml(data.phone || 'N/A')}</div>
         </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Address</div>
+          <div class="value">${escapeHtml(formatAddress(data.address))}</div>
+        </div>
       </div>
     </div>
   `;
@@ -320,6 +550,8 @@ function renderContactCard(record) {
     <div class="record-card">
       <div class="record-header">
         <div class="record-name">${escapeHtml(data.name || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
         <button class="delete-btn" data-type="contact" data-id="${escapeHtml(record.id)}">Delete</button>
       </div>
       <div class="record-fields">
@@ -329,7 +561,7 @@ function renderContactCard(record) {
         </div>
         <div class="record-field">
           <div class="label">Account</div>
-          <div class="value">${escapeHtml(data.accountName || 'N/A')}</div>
+          <div class="value">${renderLookup(data.accountName, data.accountId)}</div>
         </div>
         <div class="record-field">
           <div class="label">Email</div>
@@ -343,6 +575,10 @@ function renderContactCard(record) {
           <div class="label">Owner</div>
           <div class="value">${escapeHtml(data.owner || 'N/A')}</div>
         </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Mailing Address</div>
+          <div class="value">${escapeHtml(formatAddress(data.mailingAddress))}</div>
+        </div>
       </div>
     </div>
   `;
@@ -358,6 +594,8 @@ function renderAccountCard(record) {
     <div class="record-card">
       <div class="record-header">
         <div class="record-name">${escapeHtml(data.name || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
         <button class="delete-btn" data-type="account" data-id="${escapeHtml(record.id)}">Delete</button>
       </div>
       <div class="record-fields">
@@ -381,6 +619,14 @@ function renderAccountCard(record) {
           <div class="label">Owner</div>
           <div class="value">${escapeHtml(data.owner || 'N/A')}</div>
         </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Billing Address</div>
+          <div class="value">${escapeHtml(formatAddress(data.billingAddress))}</div>
+        </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Shipping Address</div>
+          <div class="value">${escapeHtml(formatAddress(data.shippingAddress))}</div>
+        </div>
       </div>
     </div>
   `;
@@ -396,6 +642,8 @@ function renderTaskCard(record) {
     <div class="record-card">
       <div class="record-header">
         <div class="record-name">${escapeHtml(data.subject || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
         <button class="delete-btn" data-type="task" data-id="${escapeHtml(record.id)}">Delete</button>
       </div>
       <div class="record-fields">
@@ -415,320 +663,1382 @@ function renderTaskCard(record) {
           <div class="label">Assigned To</div>
           <div class="value">${escapeHtml(data.assignedTo || 'N/A')}</div>
         </div>
+        <div class="record-field">
+          <div class="label">Name</div>
+          <div class="value">${renderLookup(data.name, data.whoId)}</div>
+        </div>
         <div class="record-field">
           <div class="label">Related To</div>
-          <div class="value">${escapeHtml(data.relatedTo || 'N/A')}</div>
+          <div class="value">${renderLookup(data.relatedTo, data.whatId)}</div>
         </div>
       </div>
     </div>
   `;
 }
 
-/**
- * Load and render stored records
- */
-function loadRecords() {
-  chrome.storage.local.get(['salesforce_data'], (result) => {
-    const data = result.salesforce_data || {};
-    let opportunities = data.opportunities || [];
-    let leads = data.leads || [];
-    let contacts = data.contacts || [];
-    let accounts = data.accounts || [];
-    let tasks = data.tasks || [];
+// Activity types with their filter label and icon
+const ACTIVITY_TYPES = {
+  call: { label: 'Call', icon: '📞' },
+  email: { label: 'Email', icon: '✉️' },
+  event: { label: 'Event', icon: '📅' },
+  task: { label: 'Task', icon: '✅' }
+};
 
-    // Apply search filter
-    opportunities = filterRecords(opportunities, currentSearchText);
-    leads = filterRecords(leads, currentSearchText);
-    contacts = filterRecords(contacts, currentSearchText);
-    accounts = filterRecords(accounts, currentSearchText);
-    tasks = filterRecords(tasks, currentSearchText);
+// Activity type shown in the Activities tab; empty shows all
+let activityTypeFilter = '';
 
-    // Update counts
-    opportunitiesCount.textContent = opportunities.length;
-    leadsCount.textContent = leads.length;
-    contactsCount.textContent = contacts.length;
-    accountsCount.textContent = accounts.length;
-    tasksCount.textContent = tasks.length;
+/**
+ * Render Event card
+ * All-day events show their dates only; times are in the event's time zone
+ */
+function renderEventCard(record) {
+  const data = record.data || {};
+  const format = data.allDay ? formatDate : formatDateTime;
+  const attendees = (data.attendees || []).map(a =>
+    `${RESPONSE_ICONS[a.status] || '⏳'} ${renderLookup(a.name, a.id)}`).join(' · ');
 
-    // Render Opportunities
-    if (opportunities.length === 0) {
-      opportunitiesList.innerHTML = `
-        <div class="empty-state">
-          <div class="icon">📋</div>
-          <div>${currentSearchText ? 'No matches found' : 'No opportunities extracted yet'}</div>
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">📅 ${escapeHtml(data.subject || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="event" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">
+        <div class="record-field">
+          <div class="label">Start</div>
+          <div class="value">${escapeHtml(format(data.startDateTime))}${data.allDay ? ' · All day' : ''}</div>
         </div>
-      `;
-    } else {
-      const sorted = [...opportunities].sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
-      opportunitiesList.innerHTML = sorted.map(renderOpportunityCard).join('');
-    }
-
-    // Render Leads
-    if (leads.length === 0) {
-      leadsList.innerHTML = `
-        <div class="empty-state">
-          <div class="icon">👤</div>
-          <div>${currentSearchText ? 'No matches found' : 'No leads extracted yet'}</div>
+        <div class="record-field">
+          <div class="label">End</div>
+          <div class="value">${escapeHtml(format(data.endDateTime))}</div>
         </div>
-      `;
-    } else {
-      const sorted = [...leads].sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
-      leadsList.innerHTML = sorted.map(renderLeadCard).join('');
-    }
-
-    // Render Contacts
-    if (contacts.length === 0) {
-      contactsList.innerHTML = `
-        <div class="empty-state">
-          <div class="icon">📇</div>
-          <div>${currentSearchText ? 'No matches found' : 'No contacts extracted yet'}</div>
+        <div class="record-field">
+          <div class="label">Time Zone</div>
+          <div class="value">${escapeHtml(data.timeZone || 'N/A')}</div>
         </div>
-      `;
-    } else {
-      const sorted = [...contacts].sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
-      contactsList.innerHTML = sorted.map(renderContactCard).join('');
-    }
-
-    // Render Accounts
-    if (accounts.length === 0) {
-      accountsList.innerHTML = `
-        <div class="empty-state">
-          <div class="icon">🏢</div>
-          <div>${currentSearchText ? 'No matches found' : 'No accounts extracted yet'}</div>
+        <div class="record-field">
+          <div class="label">Location</div>
+          <div class="value">${escapeHtml(data.location || 'N/A')}</div>
         </div>
-      `;
-    } else {
-      const sorted = [...accounts].sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
-      accountsList.innerHTML = sorted.map(renderAccountCard).join('');
-    }
-
-    // Render Tasks
-    if (tasks.length === 0) {
-      tasksList.innerHTML = `
-        <div class="empty-state">
-          <div class="icon">✅</div>
-          <div>${currentSearchText ? 'No matches found' : 'No tasks extracted yet'}</div>
+        <div class="record-field">
+          <div class="label">Assigned To</div>
+          <div class="value">${escapeHtml(data.assignedTo || 'N/A')}</div>
         </div>
-      `;
-    } else {
-      const sorted = [...tasks].sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
-      tasksList.innerHTML = sorted.map(renderTaskCard).join('');
-    }
-
-    // Attach delete button listeners (no confirm needed - we have undo)
-    document.querySelectorAll('.delete-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const type = e.target.dataset.type;
-        const id = e.target.dataset.id;
-        deleteRecord(type, id);
-      });
-    });
-  });
+        <div class="record-field">
+          <div class="label">Name</div>
+          <div class="value">${renderLookup(data.name, data.whoId)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Related To</div>
+          <div class="value">${renderLookup(data.relatedTo, data.whatId)}</div>
+        </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Attendees</div>
+          <div class="value">${attendees || 'None'}</div>
+        </div>
+      </div>
+    </div>
+  `;
 }
 
 /**
- * Handle tab switching
+ * Activity type of a timeline activity or of a record extracted from a Task page
  */
-function switchTab(tabName) {
-  tabBtns.forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.tab === tabName);
-  });
-
-  tabContents.forEach(content => {
-    content.classList.toggle('active', content.id === `${tabName}-tab`);
-  });
+function getActivityType(record) {
+  return record.data?.activityType || (record.objectType === 'task' ? 'task' : null);
 }
 
 /**
- * Get display name for object type
+ * Stored record by ID; Salesforce IDs match in their 15- and 18-character forms
  */
-function getTypeName(objectType) {
-  const names = {
-    'opportunity': 'Opportunity',
-    'lead': 'Lead',
-    'contact': 'Contact',
-    'account': 'Account',
-    'task': 'Task'
-  };
-  return names[objectType] || 'Record';
+function findRecord(id) {
+  if (!id) return null;
+  return recordsById[id] || (SALESFORCE_ID.test(id) ? recordsById[id.slice(0, 15)] : null) || null;
 }
 
 /**
- * Handle extract button click
+ * Display name of a record: its name, subject or case number
  */
-function handleExtract() {
-  setLoading(true);
-
-  chrome.runtime.sendMessage({ type: 'REQUEST_EXTRACT' }, (response) => {
-    setLoading(false);
-
-    if (chrome.runtime.lastError) {
-      console.error('Message error:', chrome.runtime.lastError);
-      showStatus('Failed to communicate with extension', 'error');
-      return;
-    }
-
-    if (!response) {
-      showStatus('No response from extension', 'error');
-      return;
-    }
-
-    if (response.status === 'ok') {
-      const { inserted, updated, objectType } = response.merged || {};
-      const typeName = getTypeName(objectType);
-
-      if (inserted) {
-        showStatus(`✅ New ${typeName} extracted!`, 'success');
-      } else if (updated) {
-        showStatus(`✅ ${typeName} updated!`, 'success');
-      } else {
-        showStatus('✅ Extraction complete', 'success');
-      }
-
-      // Switch to the appropriate tab
-      if (objectType === 'lead') {
-        switchTab('leads');
-      } else if (objectType === 'contact') {
-        switchTab('contacts');
-      } else if (objectType === 'account') {
-        switchTab('accounts');
-      } else if (objectType === 'task') {
-        switchTab('tasks');
-      } else {
-        switchTab('opportunities');
-      }
-
-      loadRecords();
-    } else {
-      const errorMessages = {
-        'NOT_SALESFORCE': 'Navigate to a Salesforce record page',
-        'NO_ACTIVE_TAB': 'No active tab found',
-        'NO_CONTENT_SCRIPT': 'Could not connect to page. Try refreshing.',
-        'INJECTION_FAILED': 'Failed to inject extraction script',
-        'TIMEOUT': 'Extraction timed out. Page may still be loading.',
-        'EXTRACTION_ERROR': response.error?.message || 'Extraction failed',
-        'INVALID_PAYLOAD': 'Invalid data extracted',
-        'UNKNOWN_ERROR': response.message || 'Unknown error occurred'
-      };
-
-      const message = errorMessages[response.reason] || response.message || 'Extraction failed';
-      showStatus(`❌ ${message}`, 'error');
-    }
-  });
+function getDisplayName(record) {
+  const data = record.data || {};
+  return data.name || data.subject || data.caseNumber || record.id;
 }
 
 /**
- * Handle JSON download
+ * Name of a stored record for "Related To" lines
  */
-function handleDownloadJson() {
-  chrome.storage.local.get(['salesforce_data'], (result) => {
-    const data = result.salesforce_data || {};
-    const opportunities = data.opportunities || [];
-    const leads = data.leads || [];
-    const contacts = data.contacts || [];
-    const accounts = data.accounts || [];
-    const tasks = data.tasks || [];
-
-    if (opportunities.length === 0 && leads.length === 0 && contacts.length === 0 && accounts.length === 0 && tasks.length === 0) {
-      showStatus('No records to download', 'error');
-      return;
-    }
-
-    const exportData = {
-      opportunities,
-      leads,
-      contacts,
-      accounts,
-      tasks,
-      exportedAt: new Date().toISOString(),
-      lastSync: data.lastSync
-    };
-
-    const jsonStr = JSON.stringify(exportData, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `salesforce-data-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    showStatus('📥 JSON downloaded', 'success');
-  });
+function getRecordName(id) {
+  const record = findRecord(id);
+  return record ? getDisplayName(record) : id;
 }
 
 /**
- * Convert records to CSV
+ * Lookup value linking to the stored record with the given ID
+ * Falls back to plain text when that record was not extracted (or is shown in another card)
  */
-function recordsToCsv(records, objectType) {
-  if (records.length === 0) return '';
-
-  // Get all unique keys from data
-  const allKeys = new Set();
-  records.forEach(r => {
-    Object.keys(r.data || {}).forEach(k => allKeys.add(k));
-  });
-
-  const headers = ['id', 'objectType', ...Array.from(allKeys), 'sourceUrl', 'lastUpdated'];
-
-  const rows = records.map(r => {
-    const data = r.data || {};
-    return headers.map(h => {
-      let value;
-      if (h === 'id') value = r.id;
-      else if (h === 'objectType') value = r.objectType;
-      else if (h === 'sourceUrl') value = r.sourceUrl;
-      else if (h === 'lastUpdated') value = r.lastUpdated ? new Date(r.lastUpdated).toISOString() : '';
-      else value = data[h] || '';
-
-      // Escape CSV values
-      if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
-        value = '"' + value.replace(/"/g, '""') + '"';
-      }
-      return value;
-    }).join(',');
-  });
-
-  return headers.join(',') + '\n' + rows.join('\n');
+function renderLookup(name, id) {
+  const record = findRecord(id);
+  const text = escapeHtml(name || (id ? getRecordName(id) : 'N/A'));
+  if (!record || record.deleted || NESTED_COLLECTIONS.includes(getCollectionName(record.objectType))) return text;
+  return `<a href="#" class="record-link" data-link-id="${escapeHtml(record.id)}" title="Show ${escapeHtml(record.objectLabel || getTypeLabel(record.objectType))}">${text}</a>`;
 }
 
 /**
- * Handle CSV download
+ * Render Activity card
+ * Records extracted from a Task page keep the Task card
  */
-function handleDownloadCsv() {
-  chrome.storage.local.get(['salesforce_data'], (result) => {
-    const data = result.salesforce_data || {};
-    const allRecords = [
-      ...(data.opportunities || []),
-      ...(data.leads || []),
-      ...(data.contacts || []),
-      ...(data.accounts || []),
-      ...(data.tasks || [])
-    ];
-
-    if (allRecords.length === 0) {
-      showStatus('No records to download', 'error');
-      return;
-    }
-
-    const csv = recordsToCsv(allRecords, 'all');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
+function renderActivityCard(record) {
+  // Calls and emails logged as tasks keep their activity card
+  if (record.objectType === 'task' && getActivityType(record) === 'task') return renderTaskCard(record);
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `salesforce-data-${new Date().toISOString().split('T')[0]}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    showStatus('📥 CSV downloaded', 'success');
-  });
-}
+  const data = record.data || {};
+  const type = ACTIVITY_TYPES[data.activityType] || { label: 'Activity', icon: '🗓️' };
+  const direction = data.direction ? data.direction.charAt(0).toUpperCase() + data.direction.slice(1) : 'N/A';
+
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">${type.icon} ${escapeHtml(data.subject || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="${escapeHtml(record.objectType)}" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">
+        <div class="record-field">
+          <div class="label">Type</div>
+          <div class="value">${escapeHtml(type.label)}${data.status ? ` · ${escapeHtml(data.status)}` : ''}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Date</div>
+          <div class="value">${escapeHtml(formatDateTime(data.activityDate))}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Participants</div>
+          <div class="value">${escapeHtml((data.participants || []).join(', ') || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Direction</div>
+          <div class="value">${escapeHtml(direction)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Related To</div>
+          <div class="value">${renderLookup(null, record.parentId)}</div>
+        </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Description</div>
+          <div class="value">${escapeHtml(data.snippet || 'N/A')}</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render Chatter feed item card
+ * Comments are listed under the post
+ */
+function renderFeedItemCard(record) {
+  const data = record.data || {};
+  const comments = data.comments || [];
+
+  const commentList = comments.map(c => `
+        <div class="feed-comment"><strong>${escapeHtml(c.author || 'Unknown')}</strong> ${escapeHtml(c.body || '')}${c.likes ? ` · 👍 ${c.likes}` : ''}</div>`).join('');
+
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">${escapeHtml(data.author || 'Unknown')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="feedItem" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">
+        <div class="record-field">
+          <div class="label">Posted</div>
+          <div class="value">${escapeHtml(formatDateTime(data.timestamp))}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Related To</div>
+          <div class="value">${renderLookup(null, record.parentId)}</div>
+        </div>
+        <div class="record-field record-field-wide">
+          <div class="label">Post</div>
+          <div class="value">${escapeHtml(data.body || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Mentions</div>
+          <div class="value">${escapeHtml((data.mentions || []).map(m => `@${m}`).join(', ') || 'None')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Likes / Comments</div>
+          <div class="value">👍 ${data.likes || 0} · 💬 ${comments.length}</div>
+        </div>
+      </div>${comments.length > 0 ? `
+      <div class="feed-comments">${commentList}
+      </div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render Case card
+ * Related Case Comments and Email Messages are summarized from relatedByParent
+ */
+function renderCaseCard(record) {
+  const data = record.data || {};
+  const related = relatedByParent[record.id] || [];
+  const comments = related.filter(r => r.objectType === 'caseComment').length;
+  const emails = related.filter(r => r.objectType === 'emailMessage').length;
+
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">${escapeHtml(data.caseNumber || 'N/A')} · ${escapeHtml(data.subject || 'No subject')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="case" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">
+        <div class="record-field">
+          <div class="label">Status</div>
+          <div class="value">${escapeHtml(data.status || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Priority</div>
+          <div class="value">${escapeHtml(data.priority || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Origin</div>
+          <div class="value">${escapeHtml(data.origin || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Contact</div>
+          <div class="value">${renderLookup(data.contact, data.contactId)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Account</div>
+          <div class="value">${renderLookup(data.account, data.accountId)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Owner</div>
+          <div class="value">${escapeHtml(data.owner || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Related</div>
+          <div class="value">💬 ${comments} comments · ✉️ ${emails} emails</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render Campaign card
+ * Captured members are counted from relatedByParent; "linked" members
+ * resolved to a lead or contact already in storage
+ */
+function renderCampaignCard(record) {
+  const data = record.data || {};
+  const members = (relatedByParent[record.id] || []).filter(r => r.objectType === 'campaignMember');
+  const linked = members.filter(m => m.linkedRecord).length;
+
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">${escapeHtml(data.name || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="campaign" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">
+        <div class="record-field">
+          <div class="label">Type</div>
+          <div class="value">${escapeHtml(data.type || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Status</div>
+          <div class="value">${escapeHtml(data.status || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Start Date</div>
+          <div class="value">${formatDate(data.startDate)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">End Date</div>
+          <div class="value">${formatDate(data.endDate)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Budgeted Cost</div>
+          <div class="value">${escapeHtml(formatCurrencyField(data, 'budgetedCost'))}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Actual Cost</div>
+          <div class="value">${escapeHtml(formatCurrencyField(data, 'actualCost'))}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Expected Revenue</div>
+          <div class="value">${escapeHtml(formatCurrencyField(data, 'expectedRevenue'))}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Leads / Contacts</div>
+          <div class="value">${data.leadCount ?? 'N/A'} / ${data.contactCount ?? 'N/A'}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Members Captured</div>
+          <div class="value">👥 ${members.length} (${linked} linked)</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render Report Snapshot card
+ * Summarizes the captured table; the rows themselves are exported as CSV/JSON
+ */
+function renderReportSnapshotCard(record) {
+  const data = record.data || {};
+  const rows = data.rows || [];
+  const detailCount = rows.filter(r => r.type === 'detail').length;
+  const subtotalCount = rows.length - detailCount;
+  const runAt = data.runAt ? new Date(data.runAt).toLocaleString('en-US') : 'N/A';
+
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">${escapeHtml(data.reportName || data.reportId || 'N/A')}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="reportSnapshot" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">
+        <div class="record-field">
+          <div class="label">Run At</div>
+          <div class="value">${escapeHtml(runAt)}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Format</div>
+          <div class="value">${escapeHtml(data.format || 'N/A')}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Rows</div>
+          <div class="value">${detailCount} (${subtotalCount} totals)</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Columns</div>
+          <div class="value">${(data.columns || []).length}</div>
+        </div>
+        <div class="record-field">
+          <div class="label">Grouped By</div>
+          <div class="value">${escapeHtml((data.groupingColumns || []).join(' › ') || 'None')}</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Turn a data key into a label: "invoiceNumber" -> "Invoice Number"
+ */
+function humanizeKey(key) {
+  const spaced = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Render card for a custom or unregistered object
+ * Shows the record name and the first non-empty captured fields
+ */
+function renderGenericCard(record) {
+  const data = record.data || {};
+  // Lookup IDs ("ownerId") are shown as links on their name field ("owner")
+  const keys = Object.keys(data)
+    .filter(k => k !== 'name' && data[k] !== null && data[k] !== '')
+    .filter(k => !(k.endsWith('Id') && k.slice(0, -2) in data))
+    .slice(0, 6);
+
+  const fields = keys.map(k => `
+        <div class="record-field">
+          <div class="label">${escapeHtml(humanizeKey(k))}</div>
+          <div class="value">${data[`${k}Id`] ? renderLookup(String(data[k]), data[`${k}Id`]) : escapeHtml(String(data[k]))}</div>
+        </div>`).join('');
+
+  return `
+    <div class="record-card">
+      <div class="record-header">
+        <div class="record-name">${escapeHtml(data.name || record.id)}</div>
+        ${renderReviewFlag(record)}
+        ${renderHistoryButton(record)}
+        <button class="delete-btn" data-type="${escapeHtml(record.objectType)}" data-id="${escapeHtml(record.id)}">Delete</button>
+      </div>
+      <div class="record-fields">${fields}
+      </div>
+    </div>
+  `;
+}
+
+// Card renderers and empty-state icons for the built-in collections
+const COLLECTION_VIEWS = {
+  opportunities: { render: renderOpportunityCard, icon: '📋' },
+  leads: { render: renderLeadCard, icon: '👤' },
+  contacts: { render: renderContactCard, icon: '📇' },
+  accounts: { render: renderAccountCard, icon: '🏢' },
+  activities: { render: renderActivityCard, icon: '🗓️' },
+  events: { render: renderEventCard, icon: '📅' },
+  feedItems: { render: renderFeedItemCard, icon: '💬' },
+  cases: { render: renderCaseCard, icon: '🎫' },
+  campaigns: { render: renderCampaignCard, icon: '📣' },
+  reportSnapshots: { render: renderReportSnapshotCard, icon: '📊' }
+};
+
+// Currency field totalled in a collection's header
+const TOTAL_FIELDS = { opportunities: 'amount' };
+
+// Built-in collections shown inside their parent's card instead of a tab
+const NESTED_COLLECTIONS = ['caseComments', 'emailMessages', 'campaignMembers'];
+
+// Built-in collections listed in another collection's tab
+const MERGED_COLLECTIONS = { tasks: 'activities' };
+
+// Collections whose activity timeline records (those with data.activityType)
+// are also listed in another collection's tab
+const TIMELINE_COLLECTIONS = { events: 'activities' };
+
+// Collections whose cards summarize their related records (see relatedByParent)
+const SUMMARIZED_COLLECTIONS = ['cases', 'campaigns'];
+
+// Tab shown in the popup; only its records are loaded
+let activeTab = 'opportunities';
+
+// Related records of the active tab's records grouped by parentId, rebuilt on every load
+let relatedByParent = {};
+
+// Records of the active tab and the records they link to, by ID, rebuilt on every load
+let recordsById = {};
+
+// Bumped by every load, so an earlier load that finishes late is not rendered
+let loadCount = 0;
+
+// Salesforce record IDs (hashed IDs of unlinked activities and feed items are longer)
+const SALESFORCE_ID = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+/**
+ * Index records by ID so cards can name their parent and link lookups
+ * Salesforce IDs are also indexed by their 15-character form
+ */
+function buildRecordIndex(records) {
+  const index = {};
+  records.forEach(r => {
+    index[r.id] = r;
+    if (SALESFORCE_ID.test(r.id)) index[r.id.slice(0, 15)] = r;
+  });
+  return index;
+}
+
+/**
+ * IDs the cards of records link to: parents, lookups (<key>Id) and attendees
+ */
+function getLinkedIds(records) {
+  const ids = new Set();
+  records.forEach(r => {
+    const data = r.data || {};
+    if (r.parentId) ids.add(r.parentId);
+    Object.keys(data).forEach(k => {
+      if (k.endsWith('Id') && typeof data[k] === 'string') ids.add(data[k]);
+    });
+    if (Array.isArray(data.attendees)) data.attendees.forEach(a => a.id && ids.add(a.id));
+  });
+  return Array.from(ids);
+}
+
+/**
+ * Query the record store for the active tab: its records (by objectType), the
+ * records they link to (by id) and the related records summarized on their
+ * cards (by parentId)
+ */
+async function queryActiveTab() {
+  const customObjects = (await getMetaValue('customObjects')) || {};
+  const alerts = (await getMetaValue('alerts')) || [];
+  const tab = { customObjects, alerts, records: [], linked: [], related: {} };
+
+  let linkedIds = alerts.map(a => a.recordId);
+  if (activeTab !== 'alerts') {
+    const merged = Object.keys(MERGED_COLLECTIONS).filter(c => MERGED_COLLECTIONS[c] === activeTab);
+    const stored = await Promise.all([activeTab, ...merged].map(c => queryRecords('objectType', getObjectTypeOfCollection(c))));
+    const timeline = await Promise.all(Object.keys(TIMELINE_COLLECTIONS)
+      .filter(c => TIMELINE_COLLECTIONS[c] === activeTab)
+      .map(async c => (await queryRecords('objectType', getObjectTypeOfCollection(c))).filter(r => r.data?.activityType)));
+    tab.records = [...stored.flat(), ...timeline.flat()];
+    linkedIds = getLinkedIds(tab.records);
+  }
+
+  const linked = await Promise.all(linkedIds.map(findRecordById));
+  tab.linked = linked.filter(Boolean);
+
+  if (SUMMARIZED_COLLECTIONS.includes(activeTab)) {
+    await Promise.all(tab.records.map(async r => {
+      tab.related[r.id] = (await queryRecords('parentId', r.id)).filter(related => !related.deleted);
+    }));
+  }
+  return tab;
+}
+
+/**
+ * Tab that lists a collection
+ */
+function getTabName(collectionName) {
+  return MERGED_COLLECTIONS[collectionName] || collectionName;
+}
+
+/**
+ * Create the tab button and tab content for a custom object collection
+ */
+function ensureCustomTab(collectionName, label) {
+  if (document.getElementById(`${collectionName}-tab`)) return;
+
+  const btn = document.createElement('button');
+  btn.className = 'tab-btn';
+  btn.dataset.tab = collectionName;
+  btn.textContent = label;
+  btn.addEventListener('click', () => switchTab(collectionName));
+  // The Alerts tab stays last
+  tabsContainer.insertBefore(btn, tabsContainer.querySelector('[data-tab="alerts"]'));
+
+  const content = document.createElement('div');
+  content.id = `${collectionName}-tab`;
+  content.className = 'tab-content';
+  content.innerHTML = `
+    <div class="records-section">
+      <div class="records-header">
+        <h2>${escapeHtml(label)}</h2>
+        <span id="${escapeHtml(collectionName)}Count" class="records-count">0</span>
+      </div>
+      <div id="${escapeHtml(collectionName)}List" class="records-list"></div>
+    </div>
+  `;
+  tabContentsContainer.appendChild(content);
+}
+
+/**
+ * Render one collection into its tab
+ */
+function renderCollection(collectionName, records, view, pluralLabel) {
+  const listEl = document.getElementById(`${collectionName}List`);
+  const countEl = document.getElementById(`${collectionName}Count`);
+
+  countEl.textContent = records.length;
+
+  if (records.length === 0) {
+    listEl.innerHTML = `
+        <div class="empty-state">
+          <div class="icon">${view.icon}</div>
+          <div>${currentSearchText ? 'No matches found' : `No ${escapeHtml(pluralLabel.toLowerCase())} extracted yet`}</div>
+        </div>
+      `;
+  } else {
+    const sorted = [...records].sort((a, b) => (b.lastUpdated || 0) - (a.lastUpdated || 0));
+    listEl.innerHTML = sorted.map(view.render).join('');
+  }
+
+  renderCollectionTotal(collectionName, records);
+}
+
+/**
+ * Show the base-currency total of a collection's currency field
+ * Amounts with no known exchange rate are left out and counted
+ */
+function renderCollectionTotal(collectionName, records) {
+  const key = TOTAL_FIELDS[collectionName];
+  const totalEl = document.getElementById(`${collectionName}Total`);
+  if (!key || !totalEl) return;
+
+  const base = currentSettings.baseCurrency;
+  let total = 0;
+  let unconverted = 0;
+  records.forEach(r => {
+    const data = r.data || {};
+    if (data[key] === null || data[key] === undefined) return;
+    const baseAmount = toBaseAmount(data, key);
+    if (baseAmount === null) unconverted++;
+    else total += baseAmount;
+  });
+
+  totalEl.textContent = records.length > 0 ? `${formatAmount(total)}${unconverted ? ' *' : ''}` : '';
+  totalEl.title = unconverted
+    ? `Total in ${base}; ${unconverted} amount(s) without an exchange rate are not included`
+    : `Total in ${base}`;
+}
+
+/**
+ * Show the unread alert count on the Alerts tab
+ */
+function renderAlertsBadge(alerts) {
+  const unread = alerts.filter(a => !a.read).length;
+  document.getElementById('alertsBadge').textContent = unread > 0 ? ` (${unread})` : '';
+}
+
+/**
+ * Render the alerts inbox, newest first
+ */
+function renderAlerts(alerts) {
+  const listEl = document.getElementById('alertsList');
+  document.getElementById('alertsCount').textContent = alerts.filter(a => !a.read).length;
+
+  if (alerts.length === 0) {
+    listEl.innerHTML = `
+        <div class="empty-state">
+          <div class="icon">🔔</div>
+          <div>No alerts yet. Watch an opportunity to be told when it changes.</div>
+        </div>
+      `;
+    return;
+  }
+
+  listEl.innerHTML = [...alerts].sort((a, b) => b.createdAt - a.createdAt).map(alert => `
+    <div class="record-card alert-card${alert.read ? '' : ' unread'}">
+      <div class="record-header">
+        <div class="record-name">${renderLookup(alert.recordName, alert.recordId)}</div>
+        <button class="alert-dismiss-btn" data-alert-id="${escapeHtml(alert.id)}" title="Dismiss">✕</button>
+      </div>
+      <div class="history-date">${formatDateTime(new Date(alert.createdAt).toISOString())}</div>
+      ${alert.changes.map(c => `<div class="alert-change">${escapeHtml(c.summary)}</div>`).join('')}
+    </div>
+  `).join('');
+}
+
+/**
+ * Render the active tab from the query results of queryActiveTab
+ */
+function renderActiveTab(tab) {
+  relatedByParent = tab.related;
+  recordsById = buildRecordIndex([...tab.linked, ...tab.records]);
+
+  Object.keys(tab.customObjects).forEach(objectType => {
+    ensureCustomTab(getCollectionName(objectType), getTypeLabel(objectType, tab.customObjects));
+  });
+  renderAlertsBadge(tab.alerts);
+
+  if (activeTab === 'alerts') {
+    renderAlerts(tab.alerts);
+    return;
+  }
+
+  const objectType = getObjectTypeOfCollection(activeTab);
+  const builtIn = OBJECT_TYPES[objectType];
+  const label = builtIn ? builtIn.pluralLabel : getTypeLabel(objectType, tab.customObjects);
+
+  // Apply search filter
+  let records = filterRecords(tab.records, currentSearchText);
+  if (activeTab === getCollectionName('activity') && activityTypeFilter) {
+    records = records.filter(r => getActivityType(r) === activityTypeFilter);
+  }
+  const view = COLLECTION_VIEWS[activeTab] || { render: renderGenericCard, icon: '🗂️' };
+  renderCollection(activeTab, records, view, label);
+}
+
+/**
+ * Load and render the active tab from the record store
+ * onRendered runs once the tab reflects storage
+ */
+function loadRecords(onRendered) {
+  const loadId = ++loadCount;
+
+  queryActiveTab().then(tab => {
+    if (loadId !== loadCount) return;
+    renderActiveTab(tab);
+
+    // Other tabs keep the cards (and listeners) of their last render
+    const tabEl = document.getElementById(`${activeTab}-tab`);
+
+    tabEl.querySelectorAll('.history-btn').forEach(btn => {
+      btn.addEventListener('click', () => toggleHistory(btn));
+    });
+
+    tabEl.querySelectorAll('.record-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        showLinkedRecord(link.dataset.linkId);
+      });
+    });
+
+    tabEl.querySelectorAll('.watch-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        toggleWatch(btn.dataset.type, btn.dataset.id, !btn.classList.contains('active'));
+      });
+    });
+
+    tabEl.querySelectorAll('.alert-dismiss-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        requestDataUpdate('DISMISS_ALERT', { alertId: btn.dataset.alertId }).then(() => loadRecords());
+      });
+    });
+
+    // Attach delete button listeners (no confirm needed - we have undo)
+    tabEl.querySelectorAll('.delete-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const type = e.target.dataset.type;
+        const id = e.target.dataset.id;
+        deleteRecord(type, id);
+      });
+    });
+
+    if (onRendered) onRendered();
+  }).catch(err => {
+    console.error('[Popup] Could not load records:', err);
+    showStatus('❌ Could not read stored records', 'error');
+  });
+}
+
+/**
+ * Handle tab switching; the tab's records are loaded when it is shown
+ */
+function switchTab(tabName, onRendered) {
+  activeTab = tabName;
+
+  document.querySelectorAll('.tab-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.tab === tabName);
+  });
+
+  document.querySelectorAll('.tab-content').forEach(content => {
+    content.classList.toggle('active', content.id === `${tabName}-tab`);
+  });
+
+  loadRecords(onRendered);
+}
+
+/**
+ * Card of a record on the active tab, found by its delete button
+ */
+function findRecordCard(id) {
+  const btn = Array.from(document.getElementById(`${activeTab}-tab`).querySelectorAll('.delete-btn')).find(b => b.dataset.id === id);
+  return btn ? btn.closest('.record-card') : null;
+}
+
+/**
+ * Open the tab of a linked record and scroll its card into view
+ * A search or activity filter hiding the card is cleared first
+ */
+function showLinkedRecord(id) {
+  const record = findRecord(id);
+  if (!record) return;
+
+  const focus = () => {
+    const card = findRecordCard(record.id);
+    if (!card) return false;
+    card.scrollIntoView({ block: 'center' });
+    card.classList.add('highlight');
+    setTimeout(() => card.classList.remove('highlight'), 1500);
+    return true;
+  };
+
+  switchTab(getTabName(getCollectionName(record.objectType)), () => {
+    if (focus()) return;
+    currentSearchText = '';
+    searchInput.value = '';
+    activityTypeFilter = '';
+    document.querySelectorAll('#activityFilters .filter-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.activityType === '');
+    });
+    loadRecords(focus);
+  });
+}
+
+/**
+ * Handle extract button click
+ */
+function handleExtract() {
+  setLoading(true);
+
+  chrome.runtime.sendMessage({ type: 'REQUEST_EXTRACT' }, (response) => {
+    setLoading(false);
+
+    if (chrome.runtime.lastError) {
+      console.error('Message error:', chrome.runtime.lastError);
+      showStatus('Failed to communicate with extension', 'error');
+      return;
+    }
+
+    if (!response) {
+      showStatus('No response from extension', 'error');
+      return;
+    }
+
+    if (response.status === 'ok') {
+      const { inserted, updated, objectType, objectLabel, count, source } = response.merged || {};
+      const typeName = objectLabel || getTypeLabel(objectType);
+
+      if (source === 'consoleTabs') {
+        showStatus(`✅ ${count} console tabs extracted (${inserted} new, ${updated} updated)`, 'success');
+      } else if (count !== undefined) {
+        showStatus(`✅ ${count} ${typeName} rows extracted (${inserted} new, ${updated} updated)`, 'success');
+      } else if (inserted) {
+        showStatus(`✅ New ${typeName} extracted!`, 'success');
+      } else if (updated) {
+        showStatus(`✅ ${typeName} updated!`, 'success');
+      } else {
+        showStatus('✅ Extraction complete', 'success');
+      }
+
+      // Records render first so a new custom object tab exists before switching to it
+      // Console tabs of mixed object types leave the current tab selected
+      loadRecords(() => {
+        if (objectType || source !== 'consoleTabs') {
+          switchTab(getTabName(getCollectionName(objectType || 'opportunity')));
+        }
+      });
+    } else {
+      const errorMessages = {
+        'NOT_SALESFORCE': 'Navigate to a Salesforce record page',
+        'NO_ACTIVE_TAB': 'No active tab found',
+        'NO_CONTENT_SCRIPT': 'Could not connect to page. Try refreshing.',
+        'INJECTION_FAILED': 'Failed to inject extraction script',
+        'TIMEOUT': 'Extraction timed out. Page may still be loading.',
+        'PAGE_NOT_READY': 'Page is still loading the record. Try again in a moment.',
+        'EXTRACTION_ERROR': response.error?.message || 'Extraction failed',
+        'INVALID_PAYLOAD': 'Invalid data extracted',
+        'UNKNOWN_ERROR': response.message || 'Unknown error occurred'
+      };
+
+      const message = errorMessages[response.reason] || response.message || 'Extraction failed';
+      showStatus(`❌ ${message}`, 'error');
+    }
+  });
+}
+
+/**
+ * Object types of every collection, built-in ones first
+ */
+function getExportObjectTypes(customObjects) {
+  return getAllCollectionNames({ customObjects }).map(getObjectTypeOfCollection);
+}
+
+/**
+ * Handle JSON download
+ * Records are read from the record store with a cursor and written to the
+ * download in chunks as they are read. The "changes" dataset is sorted by time,
+ * so its rows are collected in memory until the end.
+ */
+async function handleDownloadJson() {
+  const customObjects = (await getMetaValue('customObjects')) || {};
+  const writer = createDownloadWriter('application/json');
+  writer.write('{\n');
+  const changes = [];
+  let total = 0;
+
+  for (const objectType of getExportObjectTypes(customObjects)) {
+    let count = 0;
+    writer.write(`  ${JSON.stringify(getCollectionName(objectType))}: [`);
+    await iterateRecords('objectType', objectType, record => {
+      // Version history is exported once, as the "changes" dataset
+      changes.push(...recordToChanges(record));
+      const { history, ...exported } = withBaseAmounts(record);
+      writer.write(`${count > 0 ? ',' : ''}\n    ${JSON.stringify(exported, null, 2).replace(/\n/g, '\n    ')}`);
+      count++;
+    });
+    writer.write(count > 0 ? '\n  ],\n' : '],\n');
+    total += count;
+  }
+
+  if (total === 0) {
+    showStatus('No records to download', 'error');
+    return;
+  }
+
+  const exportInfo = {
+    changes: changes.sort(compareChanges),
+    customObjects,
+    baseCurrency: currentSettings.baseCurrency,
+    exchangeRates: currentSettings.exchangeRates,
+    exportedAt: new Date().toISOString(),
+    lastSync: await getMetaValue('lastSync')
+  };
+  // Continue the object opened above: drop the "{" line of exportInfo
+  writer.write(JSON.stringify(exportInfo, null, 2).slice(2));
+
+  writer.download(`salesforce-data-${new Date().toISOString().split('T')[0]}.json`);
+  showStatus('📥 JSON downloaded', 'success');
+}
+
+/**
+ * Escape a single CSV value
+ * Lists of names are joined with "; ", nested objects (feed comments) written as JSON
+ */
+function csvValue(value) {
+  if (Array.isArray(value) && value.every(v => typeof v !== 'object')) value = value.join('; ');
+  else if (value && typeof value === 'object') value = JSON.stringify(value);
+  if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+/**
+ * Trigger a browser download of text content
+ */
+function downloadText(content, mimeType, filename) {
+  downloadBlob(new Blob([content], { type: mimeType }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+// Characters an export buffers before appending them to its Blob
+const DOWNLOAD_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Download written in chunks: write(text) buffers text and every
+ * DOWNLOAD_CHUNK_SIZE characters appends it to a Blob, whose data the browser
+ * keeps outside the popup's memory; download(filename) saves what was written
+ */
+function createDownloadWriter(mimeType) {
+  let blob = new Blob([], { type: mimeType });
+  let buffer = [];
+  let buffered = 0;
+
+  const flush = () => {
+    blob = new Blob([blob, ...buffer], { type: mimeType });
+    buffer = [];
+    buffered = 0;
+  };
+
+  return {
+    write(text) {
+      buffer.push(text);
+      buffered += text.length;
+      if (buffered >= DOWNLOAD_CHUNK_SIZE) flush();
+    },
+
+    download(filename) {
+      flush();
+      downloadBlob(blob, filename);
+    }
+  };
+}
+
+// CSV column prefix for data.extraFields entries
+const EXTRA_FIELD_PREFIX = 'extra.';
+
+/**
+ * Collect the CSV columns of records added one at a time with add(record)
+ * Currency fields get a <key>Base column in the base currency.
+ * options.includeExtraFields adds one "extra.<key>" column per captured extra field.
+ * Addresses are written on one line, or with options.splitAddresses as
+ * "<key>.street", "<key>.city", ... columns.
+ * getColumns() returns { headers, addressKeys } for recordToCsvRow
+ */
+function createCsvColumns(options = {}) {
+  const allKeys = new Set();
+  const extraKeys = new Set();
+  const addressKeys = new Set();
+  let count = 0;
+
+  return {
+    add(record) {
+      const data = withBaseAmounts(record).data;
+      Object.keys(data).forEach(k => {
+        allKeys.add(k);
+        if (isAddress(data[k])) addressKeys.add(k);
+      });
+      Object.keys(data.extraFields || {}).forEach(k => extraKeys.add(k));
+      count++;
+    },
+
+    get count() {
+      return count;
+    },
+
+    getColumns() {
+      const keys = Array.from(allKeys).filter(k => k !== 'extraFields');
+      const dataHeaders = keys.flatMap(k =>
+        options.splitAddresses && addressKeys.has(k) ? ADDRESS_PARTS.map(part => `${k}.${part}`) : [k]
+      );
+
+      const hasBaseAmounts = getCurrencyKeys(keys).length > 0;
+      const extraHeaders = options.includeExtraFields
+        ? Array.from(extraKeys).sort().map(k => EXTRA_FIELD_PREFIX + k)
+        : [];
+      const headers = ['id', 'objectType', 'parentId', ...dataHeaders,
+        ...(hasBaseAmounts ? ['baseCurrency'] : []), ...extraHeaders, 'sourceUrl', 'lastUpdated'];
+
+      return { headers, addressKeys: Array.from(addressKeys) };
+    }
+  };
+}
+
+/**
+ * One CSV line of a record for the columns of createCsvColumns
+ */
+function recordToCsvRow(record, { headers, addressKeys }) {
+  const r = withBaseAmounts(record);
+  const data = r.data;
+  return headers.map(h => {
+    let value;
+    if (h.startsWith(EXTRA_FIELD_PREFIX)) value = data.extraFields?.[h.slice(EXTRA_FIELD_PREFIX.length)] || '';
+    else if (h === 'id') value = r.id;
+    else if (h === 'objectType') value = r.objectType;
+    else if (h === 'parentId') value = r.parentId || '';
+    else if (h === 'baseCurrency') value = currentSettings.baseCurrency;
+    else if (h === 'sourceUrl') value = r.sourceUrl;
+    else if (h === 'lastUpdated') value = r.lastUpdated ? new Date(r.lastUpdated).toISOString() : '';
+    else if (addressKeys.includes(h)) value = isAddress(data[h]) ? formatAddress(data[h]) : '';
+    else if (h === 'attendees') value = formatAttendees(data[h]);
+    else if (h.includes('.') && addressKeys.includes(h.split('.')[0])) {
+      const [key, part] = h.split('.');
+      value = data[key]?.[part] || '';
+    } else value = data[h] ?? '';
+
+    return csvValue(value);
+  }).join(',');
+}
+
+/**
+ * Flatten the version history of a record into one change per row:
+ * { recordId, objectType, recordName, changedAt, source, field, oldValue, newValue }
+ * Deleted records have none
+ */
+function recordToChanges(record) {
+  if (record.deleted) return [];
+  return (record.history || []).flatMap(entry => entry.changes.map(c => ({
+    recordId: record.id,
+    objectType: record.objectType,
+    recordName: getDisplayName(record),
+    changedAt: new Date(entry.changedAt).toISOString(),
+    source: entry.source || null,
+    field: c.field,
+    oldValue: c.oldValue,
+    newValue: c.newValue
+  })));
+}
+
+function compareChanges(a, b) {
+  return a.changedAt.localeCompare(b.changedAt);
+}
+
+/**
+ * Convert the changes dataset to CSV
+ */
+function changesToCsv(changes) {
+  const headers = ['recordId', 'objectType', 'recordName', 'changedAt', 'source', 'field', 'oldValue', 'newValue'];
+  const lines = changes.map(c => headers.map(h => {
+    const value = c[h];
+    return csvValue(isAddress(value) ? formatAddress(value) : value ?? '');
+  }).join(','));
+  return headers.join(',') + '\n' + lines.join('\n');
+}
+
+/**
+ * Convert report snapshots to CSV, one line per report row
+ * Report columns are unioned so repeated snapshots of a report line up
+ */
+function reportSnapshotsToCsv(snapshots) {
+  const columns = [];
+  snapshots.forEach(s => {
+    (s.data.columns || []).forEach(c => {
+      if (!columns.includes(c)) columns.push(c);
+    });
+  });
+
+  const headers = ['reportId', 'reportName', 'runAt', 'rowType', 'groupLevel', ...columns];
+
+  const lines = snapshots.flatMap(s => {
+    const data = s.data || {};
+    return (data.rows || []).map(row => {
+      const cells = columns.map(c => {
+        const index = (data.columns || []).indexOf(c);
+        return index === -1 ? '' : row.cells[index] || '';
+      });
+      return [data.reportId, data.reportName || '', data.runAt, row.type, row.level, ...cells]
+        .map(csvValue)
+        .join(',');
+    });
+  });
+
+  return headers.map(csvValue).join(',') + '\n' + lines.join('\n');
+}
+
+/**
+ * Handle CSV download
+ * Records are read from the record store with a cursor twice: once to collect
+ * the columns, once to write the lines to the download in chunks. Report
+ * snapshots and the changes dataset (sorted by time) are collected in memory.
+ */
+async function handleDownloadCsv() {
+  const customObjects = (await getMetaValue('customObjects')) || {};
+  // Report tables do not fit the record columns; they get their own file
+  const objectTypes = getExportObjectTypes(customObjects).filter(t => t !== 'reportSnapshot');
+  const eachRecord = async (onRecord) => {
+    for (const objectType of objectTypes) await iterateRecords('objectType', objectType, onRecord);
+  };
+
+  const csvColumns = createCsvColumns({
+    includeExtraFields: currentSettings.csvIncludeExtraFields,
+    splitAddresses: currentSettings.csvSplitAddresses
+  });
+  const changes = [];
+  await eachRecord(record => {
+    csvColumns.add(record);
+    changes.push(...recordToChanges(record));
+  });
+  const snapshots = (await queryRecords('objectType', 'reportSnapshot')).filter(s => !s.deleted);
+
+  if (csvColumns.count === 0 && snapshots.length === 0) {
+    showStatus('No records to download', 'error');
+    return;
+  }
+
+  const date = new Date().toISOString().split('T')[0];
+  if (csvColumns.count > 0) {
+    const columns = csvColumns.getColumns();
+    const writer = createDownloadWriter('text/csv');
+    writer.write(columns.headers.join(','));
+    await eachRecord(record => writer.write(`\n${recordToCsvRow(record, columns)}`));
+    writer.download(`salesforce-data-${date}.csv`);
+  }
+  if (snapshots.length > 0) {
+    downloadText(reportSnapshotsToCsv(snapshots), 'text/csv', `salesforce-reports-${date}.csv`);
+  }
+  // Version history as one change per line
+  if (changes.length > 0) {
+    downloadText(changesToCsv(changes.sort(compareChanges)), 'text/csv', `salesforce-changes-${date}.csv`);
+  }
+
+  showStatus('📥 CSV downloaded', 'success');
+}
+
+// Clean-up applied to a setting input before it is saved
+const SETTING_PARSERS = {
+  baseCurrency: value => value.trim().toUpperCase() || DEFAULT_SETTINGS.baseCurrency,
+  pageReadyTimeout: value => parseFloat(value) > 0 ? parseFloat(value) : DEFAULT_SETTINGS.pageReadyTimeout,
+  feedItemLimit: value => parseInt(value, 10) >= 0 ? parseInt(value, 10) : DEFAULT_SETTINGS.feedItemLimit
+};
+
+/**
+ * Save settings changes and re-render, since amounts depend on them
+ */
+function updateSettings(changes) {
+  return saveSettings(changes).then(settings => {
+    currentSettings = settings;
+    loadRecords();
+    return settings;
+  });
+}
+
+/**
+ * Render the exchange-rate table of the settings panel
+ */
+function renderExchangeRates() {
+  const tableEl = document.getElementById('exchangeRates');
+  const rates = currentSettings.exchangeRates || {};
+  const codes = Object.keys(rates).sort();
+
+  tableEl.innerHTML = codes.length === 0
+    ? '<tr><td class="rates-empty">No rates yet</td></tr>'
+    : codes.map(code => `
+      <tr>
+        <td>1 ${escapeHtml(currentSettings.baseCurrency)} =</td>
+        <td>${escapeHtml(String(rates[code]))} ${escapeHtml(code)}</td>
+        <td><button class="rate-remove-btn" data-code="${escapeHtml(code)}" title="Remove">✕</button></td>
+      </tr>`).join('');
+
+  tableEl.querySelectorAll('.rate-remove-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const exchangeRates = { ...currentSettings.exchangeRates };
+      delete exchangeRates[btn.dataset.code];
+      updateSettings({ exchangeRates }).then(renderExchangeRates);
+    });
+  });
+}
+
+// Object types without a merge policy row: report snapshots are never merged
+const MERGE_POLICY_EXCLUDED = ['reportSnapshot'];
+
+/**
+ * Render one merge policy select per object type
+ */
+function renderMergePolicies() {
+  const tableEl = document.getElementById('mergePolicies');
+  const policies = currentSettings.mergePolicies || {};
+  const options = Object.keys(MERGE_POLICIES);
+
+  tableEl.innerHTML = Object.keys(OBJECT_TYPES)
+    .filter(t => !MERGE_POLICY_EXCLUDED.includes(t))
+    .map(objectType => `
+      <tr>
+        <td>${escapeHtml(OBJECT_TYPES[objectType].pluralLabel)}</td>
+        <td>
+          <select class="setting-select merge-policy-select" data-object-type="${escapeHtml(objectType)}">
+            ${options.map(p => `<option value="${p}"${(policies[objectType] || DEFAULT_MERGE_POLICY) === p ? ' selected' : ''}>${escapeHtml(MERGE_POLICIES[p])}</option>`).join('')}
+          </select>
+        </td>
+      </tr>`).join('');
+
+  tableEl.querySelectorAll('.merge-policy-select').forEach(select => {
+    select.addEventListener('change', () => {
+      const mergePolicies = { ...currentSettings.mergePolicies };
+      if (select.value === DEFAULT_MERGE_POLICY) delete mergePolicies[select.dataset.objectType];
+      else mergePolicies[select.dataset.objectType] = select.value;
+      updateSettings({ mergePolicies });
+    });
+  });
+}
+
+/**
+ * "Amount drops by more than 10 %"
+ */
+function describeAlertRule(rule) {
+  const condition = ALERT_CONDITIONS[rule.condition] || { label: rule.condition };
+  const threshold = condition.threshold === 'value' ? ` "${rule.threshold}"`
+    : condition.threshold ? ` ${rule.threshold} ${condition.threshold}` : '';
+  return `${ALERT_FIELDS[rule.field] || humanizeKey(rule.field)} ${condition.label}${threshold}`;
+}
+
+/**
+ * Render the alert rule list of the settings panel and the field and
+ * condition choices for a new rule
+ */
+function renderAlertRules() {
+  const tableEl = document.getElementById('alertRules');
+  const rules = currentSettings.alertRules || [];
+
+  tableEl.innerHTML = rules.length === 0
+    ? '<tr><td class="rates-empty">No alert rules</td></tr>'
+    : rules.map((rule, index) => `
+      <tr>
+        <td>${escapeHtml(describeAlertRule(rule))}</td>
+        <td><button class="rate-remove-btn" data-index="${index}" title="Remove">✕</button></td>
+      </tr>`).join('');
+
+  tableEl.querySelectorAll('.rate-remove-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const alertRules = rules.filter((rule, index) => index !== Number(btn.dataset.index));
+      updateSettings({ alertRules }).then(renderAlertRules);
+    });
+  });
+
+  const fieldSelect = document.getElementById('alertField');
+  const conditionSelect = document.getElementById('alertCondition');
+  if (fieldSelect.options.length === 0) {
+    fieldSelect.innerHTML = Object.keys(ALERT_FIELDS)
+      .map(f => `<option value="${f}">${escapeHtml(ALERT_FIELDS[f])}</option>`).join('');
+    conditionSelect.innerHTML = Object.keys(ALERT_CONDITIONS)
+      .map(c => `<option value="${c}">${escapeHtml(ALERT_CONDITIONS[c].label)}</option>`).join('');
+    updateAlertThresholdInput();
+  }
+}
+
+/**
+ * Show the threshold input only for conditions that take one
+ */
+function updateAlertThresholdInput() {
+  const unit = ALERT_CONDITIONS[document.getElementById('alertCondition').value].threshold;
+  const input = document.getElementById('alertThreshold');
+  input.style.display = unit ? '' : 'none';
+  input.type = unit === 'value' ? 'text' : 'number';
+  input.placeholder = unit === 'value' ? 'Closed Lost' : unit || '';
+}
+
+/**
+ * Add an alert rule from the settings inputs
+ */
+function handleAddAlertRule() {
+  const field = document.getElementById('alertField').value;
+  const condition = document.getElementById('alertCondition').value;
+  const thresholdInput = document.getElementById('alertThreshold');
+  const unit = ALERT_CONDITIONS[condition].threshold;
+  const rule = { field, condition };
+
+  if (unit === 'value') {
+    rule.threshold = thresholdInput.value.trim();
+    if (!rule.threshold) {
+      showStatus('Enter the value to alert on', 'error');
+      return;
+    }
+  } else if (unit) {
+    rule.threshold = parseFloat(thresholdInput.value);
+    if (!(rule.threshold >= 0)) {
+      showStatus(`Enter a threshold in ${unit}`, 'error');
+      return;
+    }
+  }
+
+  const alertRules = [...(currentSettings.alertRules || []), rule];
+  updateSettings({ alertRules }).then(() => {
+    thresholdInput.value = '';
+    renderAlertRules();
+  });
+}
+
+/**
+ * Add or replace one exchange rate from the settings inputs
+ */
+function handleAddRate() {
+  const codeInput = document.getElementById('rateCode');
+  const valueInput = document.getElementById('rateValue');
+  const code = codeInput.value.trim().toUpperCase();
+  const rate = parseFloat(valueInput.value);
+
+  if (!/^[A-Z]{3}$/.test(code) || !(rate > 0)) {
+    showStatus('Enter a 3-letter currency code and a positive rate', 'error');
+    return;
+  }
+
+  const exchangeRates = { ...currentSettings.exchangeRates, [code]: rate };
+  updateSettings({ exchangeRates }).then(() => {
+    codeInput.value = '';
+    valueInput.value = '';
+    renderExchangeRates();
+  });
+}
+
+/**
+ * Bind settings inputs (data-setting="<key>") to stored settings
+ * Resolves once the stored settings are applied
+ */
+function initSettings() {
+  const inputs = document.querySelectorAll('[data-setting]');
+
+  inputs.forEach(input => {
+    input.addEventListener('change', () => {
+      const key = input.dataset.setting;
+      let value = input.type === 'checkbox' ? input.checked : input.value;
+      if (SETTING_PARSERS[key]) {
+        value = SETTING_PARSERS[key](value);
+        input.value = value;
+      }
+      updateSettings({ [key]: value }).then(renderExchangeRates);
+    });
+  });
+
+  document.getElementById('addRateBtn').addEventListener('click', handleAddRate);
+  document.getElementById('addAlertRuleBtn').addEventListener('click', handleAddAlertRule);
+  document.getElementById('alertCondition').addEventListener('change', updateAlertThresholdInput);
+
+  return loadSettings().then(settings => {
+    currentSettings = settings;
+    inputs.forEach(input => {
+      const key = input.dataset.setting;
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(settings[key]);
+      } else {
+        input.value = settings[key] ?? '';
+      }
+    });
+    renderExchangeRates();
+    renderMergePolicies();
+    renderAlertRules();
+  });
+}
 
 /**
  * Handle search input
@@ -744,20 +2054,49 @@ downloadBtn.addEventListener('click', handleDownloadJson);
 downloadCsvBtn.addEventListener('click', handleDownloadCsv);
 searchInput.addEventListener('input', handleSearch);
 
-// Tab switching
-tabBtns.forEach(btn => {
+// Tab switching (custom object tabs attach their own listener)
+document.querySelectorAll('.tab-btn').forEach(btn => {
   btn.addEventListener('click', () => switchTab(btn.dataset.tab));
 });
 
-// Real-time sync across tabs - auto-refresh when storage changes
+document.getElementById('markAlertsReadBtn').addEventListener('click', () => {
+  requestDataUpdate('MARK_ALERTS_READ').then(() => loadRecords());
+});
+
+// Activity type filter of the Activities tab
+document.querySelectorAll('#activityFilters .filter-btn').forEach(btn => {
+  btn.addEventListener('click', () => {
+    activityTypeFilter = btn.dataset.activityType;
+    document.querySelectorAll('#activityFilters .filter-btn').forEach(b => {
+      b.classList.toggle('active', b === btn);
+    });
+    loadRecords();
+  });
+});
+
+// Real-time sync across tabs - auto-refresh when the service worker writes the record store
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === 'local' && changes.salesforce_data) {
+  if (area === 'local' && changes[DATA_VERSION_KEY]) {
     console.log('[Popup] Storage changed, refreshing records...');
     loadRecords();
   }
 });
 
-// Initial load
-loadRecords();
+/**
+ * Resolve once the service worker has moved records kept by older versions
+ * into the record store
+ */
+function waitForStorage() {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'STORAGE_READY' }, (response) => {
+      if (chrome.runtime.lastError) console.error('[Popup] Storage check failed:', chrome.runtime.lastError);
+      if (response?.status === 'error') showStatus(`❌ ${response.message}`, 'error');
+      resolve();
+    });
+  });
+}
+
+// Initial load; amounts need the base currency and rates first
+waitForStorage().then(initSettings).then(() => loadRecords());
 
 console.log('[Popup] SF CRM Extractor popup initialized');
@@ -0,0 +1,60 @@
+/**
+ * Object Type Catalog
+ * Storage collection names and display labels shared by the service worker
+ * (via importScripts) and the popup (via a script tag)
+ */
+
+const OBJECT_TYPES = {
+  opportunity: { collection: 'opportunities', label: 'Opportunity', pluralLabel: 'Opportunities' },
+  lead: { collection: 'leads', label: 'Lead', pluralLabel: 'Leads' },
+  contact: { collection: 'contacts', label: 'Contact', pluralLabel: 'Contacts' },
+  account: { collection: 'accounts', label: 'Account', pluralLabel: 'Accounts' },
+  task: { collection: 'tasks', label: 'Task', pluralLabel: 'Tasks' },
+  event: { collection: 'events', label: 'Event', pluralLabel: 'Events' },
+  activity: { collection: 'activities', label: 'Activity', pluralLabel: 'Activities' },
+  feedItem: { collection: 'feedItems', label: 'Feed Item', pluralLabel: 'Feed Items' },
+  case: { collection: 'cases', label: 'Case', pluralLabel: 'Cases' },
+  caseComment: { collection: 'caseComments', label: 'Case Comment', pluralLabel: 'Case Comments' },
+  emailMessage: { collection: 'emailMessages', label: 'Email Message', pluralLabel: 'Email Messages' },
+  campaign: { collection: 'campaigns', label: 'Campaign', pluralLabel: 'Campaigns' },
+  campaignMember: { collection: 'campaignMembers', label: 'Campaign Member', pluralLabel: 'Campaign Members' },
+  reportSnapshot: { collection: 'reportSnapshots', label: 'Report Snapshot', pluralLabel: 'Report Snapshots' }
+};
+
+/**
+ * Get the storage collection for an object type
+ * Custom and unregistered objects are stored under their API name (e.g. "Project__c")
+ */
+function getCollectionName(objectType) {
+  if (OBJECT_TYPES[objectType]) {
+    return OBJECT_TYPES[objectType].collection;
+  }
+  return objectType;
+}
+
+/**
+ * Get the object type stored in a collection (the inverse of getCollectionName)
+ */
+function getObjectTypeOfCollection(collectionName) {
+  return Object.keys(OBJECT_TYPES).find(t => OBJECT_TYPES[t].collection === collectionName) || collectionName;
+}
+
+/**
+ * Get the display name for an object type
+ * customObjects is the customObjects meta value of the record store (see upsertRecord)
+ */
+function getTypeLabel(objectType, customObjects = {}) {
+  if (OBJECT_TYPES[objectType]) {
+    return OBJECT_TYPES[objectType].label;
+  }
+  return customObjects[objectType]?.label || objectType || 'Record';
+}
+
+/**
+ * List every collection name present in stored data, built-in ones first
+ */
+function getAllCollectionNames(data = {}) {
+  const builtIn = Object.values(OBJECT_TYPES).map(t => t.collection);
+  const custom = Object.keys(data.customObjects || {}).map(getCollectionName);
+  return [...builtIn, ...custom.filter(c => !builtIn.includes(c))];
+}
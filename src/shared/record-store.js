@@ -0,0 +1,135 @@
+/**
+ * Record Store
+ * IndexedDB database of extracted records, shared by the service worker (via
+ * importScripts), which is its only writer (see storage-service.js), and the
+ * popup (via a script tag), which queries it.
+ *
+ * records: one row per record, keyed by [objectType, id] and indexed on
+ *   objectType, id, parentId, lastUpdated and org
+ * meta: everything else, by key (customObjects, alerts, lastSync, version)
+ */
+
+const RECORD_DB_NAME = 'sf-crm-extractor';
+const RECORD_DB_VERSION = 1;
+
+const RECORDS_STORE = 'records';
+const META_STORE = 'meta';
+
+const RECORD_INDEXES = ['objectType', 'id', 'parentId', 'lastUpdated', 'org'];
+
+// chrome.storage.local key the service worker bumps after every write, so open
+// popups know to re-query (IndexedDB has no change events across pages)
+const DATA_VERSION_KEY = 'salesforce_data_version';
+
+// Salesforce record IDs, in their 15- or 18-character form
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+let recordDbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ */
+function openRecordDb() {
+  if (recordDbPromise) return recordDbPromise;
+
+  recordDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(RECORD_DB_NAME, RECORD_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const records = db.createObjectStore(RECORDS_STORE, { keyPath: ['objectType', 'id'] });
+      RECORD_INDEXES.forEach(name => records.createIndex(name, name));
+      db.createObjectStore(META_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      recordDbPromise = null;
+      reject(request.error);
+    };
+  });
+  return recordDbPromise;
+}
+
+/**
+ * Resolve with the result of an IndexedDB request
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store (or one of its indexes) to read from in a read-only transaction
+ */
+async function readSource(storeName, indexName = null) {
+  const db = await openRecordDb();
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  return indexName ? store.index(indexName) : store;
+}
+
+/**
+ * "acme" of https://acme.lightning.force.com/...: the My Domain (first host
+ * label) of the org a record was extracted from, or null
+ */
+function getOrgFromUrl(url) {
+  try {
+    return new URL(url).hostname.split('.')[0] || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Key range of an ID that also matches its 15- or 18-character form
+ */
+function getIdRange(id) {
+  return RECORD_ID_PATTERN.test(id)
+    ? IDBKeyRange.bound(id.slice(0, 15), `${id.slice(0, 15)}\uffff`)
+    : IDBKeyRange.only(id);
+}
+
+async function getMetaValue(key) {
+  return requestResult((await readSource(META_STORE)).get(key));
+}
+
+async function getStoredRecord(objectType, id) {
+  return requestResult((await readSource(RECORDS_STORE)).get([objectType, id]));
+}
+
+/**
+ * Records whose index value matches query (a value or an IDBKeyRange)
+ */
+async function queryRecords(indexName, query) {
+  return requestResult((await readSource(RECORDS_STORE, indexName)).getAll(query));
+}
+
+/**
+ * A record with an ID (or its 15/18-character form), of any object type
+ */
+async function findRecordById(id) {
+  const matches = await queryRecords('id', getIdRange(id));
+  return matches.find(r => r.id === id)
+    || matches.find(r => RECORD_ID_PATTERN.test(r.id) && r.id.slice(0, 15) === id.slice(0, 15))
+    || null;
+}
+
+/**
+ * Call onRecord(record) for each record whose index value matches query,
+ * one at a time from a cursor, so large collections are never loaded at once
+ */
+async function iterateRecords(indexName, query, onRecord) {
+  const request = (await readSource(RECORDS_STORE, indexName)).openCursor(query);
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      onRecord(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
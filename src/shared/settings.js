@@ -0,0 +1,86 @@
+/**
+ * Extension Settings
+ * User options stored under chrome.storage.local "salesforce_settings", shared by
+ * the service worker (via importScripts) and the popup (via a script tag)
+ */
+
+const SETTINGS_KEY = 'salesforce_settings';
+
+// How a new extraction is merged into a stored record (see mergeRecord in the service worker)
+const MERGE_POLICIES = {
+  rank: 'Keep values, record page wins',
+  newest: 'Keep values, newest wins',
+  replace: 'Replace whole record'
+};
+
+const DEFAULT_MERGE_POLICY = 'rank';
+
+// Opportunity fields alert rules can watch
+const ALERT_FIELDS = {
+  amount: 'Amount',
+  stage: 'Stage',
+  closeDate: 'Close Date',
+  probability: 'Probability',
+  owner: 'Owner'
+};
+
+// When a change of a watched record's field raises an alert (see matchAlertRule in
+// the service worker); threshold is the unit of the rule's threshold, if it has one
+const ALERT_CONDITIONS = {
+  changed: { label: 'changes' },
+  decreasedBy: { label: 'drops by more than', threshold: '%' },
+  increasedBy: { label: 'rises by more than', threshold: '%' },
+  movedLater: { label: 'moves later by more than', threshold: 'days' },
+  laterQuarter: { label: 'moves to a later quarter' },
+  becomes: { label: 'becomes', threshold: 'value' }
+};
+
+const DEFAULT_SETTINGS = {
+  // Console apps: extract every open workspace tab instead of the focused one
+  extractAllConsoleTabs: false,
+  // Also capture every label/value pair of a record page into data.extraFields
+  extractAllFields: false,
+  // Add the extraFields as "extra.<key>" columns to the CSV export
+  csvIncludeExtraFields: false,
+  // Split address fields into "<key>.street", "<key>.city", ... CSV columns
+  csvSplitAddresses: false,
+  // Locale for dates and numbers (e.g. "de-DE"); empty = detect from the Salesforce page
+  locale: '',
+  // Seconds to wait for a record page to show the requested record
+  pageReadyTimeout: 8,
+  // Chatter posts to load per record page ("More" is clicked as needed); 0 skips the feed
+  feedItemLimit: 20,
+  // Currency popup totals and exports are normalized to
+  baseCurrency: 'USD',
+  // Units of each currency per 1 base currency unit, e.g. { EUR: 0.92 }
+  exchangeRates: {},
+  // Merge policy per object type, e.g. { contact: 'newest' }; others use DEFAULT_MERGE_POLICY
+  mergePolicies: {},
+  // Changes of watched opportunities that raise an alert: [{ field, condition, threshold }]
+  alertRules: [
+    { field: 'amount', condition: 'decreasedBy', threshold: 10 },
+    { field: 'closeDate', condition: 'laterQuarter' },
+    { field: 'stage', condition: 'changed' }
+  ]
+};
+
+/**
+ * Load settings merged over the defaults
+ */
+function loadSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([SETTINGS_KEY], (result) => {
+      resolve({ ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) });
+    });
+  });
+}
+
+/**
+ * Save a partial settings object, keeping other stored values
+ */
+function saveSettings(changes) {
+  return loadSettings().then(settings => new Promise((resolve) => {
+    const updated = { ...settings, ...changes };
+    chrome.storage.local.set({ [SETTINGS_KEY]: updated }, () => resolve(updated));
+  }));
+}